@@ -1,19 +1,89 @@
 import * as core from '@actions/core';
 
+// Format a TokenBureau error response ({ code, error, details }) for display
+function formatError(body, status) {
+  try {
+    const { code, error, details } = JSON.parse(body);
+    return `[${code ?? status}] ${details ?? error}`;
+  } catch {
+    return `[${status}] ${body}`;
+  }
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Send a token request to TokenBureau, authenticated with a fresh OIDC token.
+// Requests go to /generate-token, or to /explain for a dry run.
+async function requestToken(tokenBureauUrl, audience, body, endpoint = 'generate-token') {
+  const idToken = await core.getIDToken(audience);
+  core.debug('Successfully obtained OIDC token');
+
+  core.debug(`Sending request to TokenBureau /${endpoint}`);
+  const response = await fetch(`${tokenBureauUrl}/${endpoint}`, {
+    method: 'POST',
+    headers: {
+      'Authorization': `Bearer ${idToken}`,
+      'Content-Type': 'application/json',
+      'Accept': 'application/json',
+      'User-Agent': 'token-bureau-action'
+    },
+    body: JSON.stringify(body)
+  });
+
+  core.debug(`Response status: ${response.status}`);
+  return response;
+}
+
+const formatPermissions = permissions =>
+  Object.entries(permissions).map(([perm, level]) => `${perm}=${level}`).join(', ') || 'none';
+
+// Print how the server would decide on a token request, as returned by /explain
+function printExplanation(explanation) {
+  core.info(`Decision: ${explanation.decision}${explanation.details ? ` (${explanation.details})` : ''}`);
+
+  core.info('Config entries, in the order they apply:');
+  for (const step of explanation.steps) {
+    const source = [step.section, step.entry, step.target && `-> ${step.target}`].filter(Boolean).join(' ');
+    if (!step.applied) {
+      core.info(`  - ${source}: skipped, ${step.reason}`);
+      continue;
+    }
+    const rule = step.rule ? ` (rule ${step.rule.index + 1})` : '';
+    core.info(`  - ${source}${rule}: ${formatPermissions(step.permissions)}`);
+  }
+  core.info(`Effective permissions: ${formatPermissions(explanation.effective_permissions)}`);
+
+  for (const { permission, requested, granted, reason } of explanation.requested_permissions) {
+    core.info(`  ${granted ? 'granted' : 'denied'}: ${permission}=${requested}${reason ? ` (${reason})` : ''}`);
+  }
+
+  if (explanation.decision !== 'denied') {
+    core.info(`App: ${explanation.app}, lifetime: ${explanation.lifetime}s`);
+  }
+  if (explanation.decision === 'requires_approval') {
+    core.info(`Needs an approval for: ${explanation.approval_permissions.join(', ') || 'any token'}`);
+  }
+}
+
 async function run() {
   try {
     // Get inputs
     const tokenBureauUrl = core.getInput('token-bureau-url', { required: true });
     const audience = core.getInput('audience', { required: true });
     const permissions = core.getInput('permissions');
+    const repositories = core.getInput('repositories')
+      .split(/[\s,]+/)
+      .filter(Boolean);
+    const scope = core.getInput('scope');
+    const app = core.getInput('app');
+    const lifetime = core.getInput('lifetime');
+    const approvalTimeout = Number(core.getInput('approval-timeout') || '3600');
+    const approvalPollInterval = Number(core.getInput('approval-poll-interval') || '15');
+    const dryRun = core.getBooleanInput('dry-run');
 
     core.debug(`Using token-bureau-url: ${tokenBureauUrl}`);
     core.debug(`Using audience: ${audience}`);
 
-    // Get OIDC token from GitHub Actions
-    const idToken = await core.getIDToken(audience);
-    core.debug('Successfully obtained OIDC token');
-    
     // Extract current repository from environment
     const repository = process.env.GITHUB_REPOSITORY?.split('/')[1];
     if (!repository) {
@@ -21,27 +91,74 @@ async function run() {
     }
     core.debug(`Repository: ${repository}`);
 
+    // Build request body
+    const body = {};
+    if (permissions) {
+      body.permissions = JSON.parse(permissions);
+    }
+    if (repositories.length > 0) {
+      body.repositories = repositories;
+      core.debug(`Requesting token for repositories: ${repositories.join(', ')}`);
+    }
+    if (scope) {
+      body.scope = scope;
+      core.debug(`Requesting token with scope: ${scope}`);
+    }
+    if (app) {
+      body.app = app;
+      core.debug(`Requesting token from GitHub App: ${app}`);
+    }
+    if (lifetime) {
+      body.lifetime = Number(lifetime);
+      core.debug(`Requesting token lifetime: ${lifetime}s`);
+    }
+
+    // Ask how the request would be decided, without getting a token
+    if (dryRun) {
+      const response = await requestToken(tokenBureauUrl, audience, body, 'explain');
+      if (!response.ok) {
+        const error = await response.text();
+        core.error(`Error response: ${error}`);
+        throw new Error(`Failed to explain token request: ${formatError(error, response.status)}`);
+      }
+
+      const explanation = await response.json();
+      printExplanation(explanation);
+      core.setOutput('explanation', JSON.stringify(explanation));
+      if (explanation.decision === 'denied') {
+        core.warning(`Token request would be denied: [${explanation.code}] ${explanation.details}`);
+      }
+      return;
+    }
+
     // Request token from TokenBureau
-    core.debug('Sending request to TokenBureau');
-    const response = await fetch(`${tokenBureauUrl}/generate-token`, {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${idToken}`,
-        'Content-Type': 'application/json',
-        'Accept': 'application/json',
-        'User-Agent': 'token-bureau-action'
-      },
-      body: JSON.stringify(
-        permissions ? { permissions: JSON.parse(permissions) } : {}
-      )
-    });
+    let response = await requestToken(tokenBureauUrl, audience, body);
 
-    core.debug(`Response status: ${response.status}`);
+    // Requests needing an approval are polled until an approver decides, each time
+    // with a new OIDC token as they only live for a few minutes
+    const deadline = Date.now() + approvalTimeout * 1000;
+    while (response.status === 202) {
+      const pending = await response.json();
+      if (!body.approval_id) {
+        body.approval_id = pending.approval_id;
+        core.setOutput('approval_id', pending.approval_id);
+        core.info(
+          `Token request ${pending.approval_id} needs an approval for: ${pending.approval_permissions.join(', ') || 'any token'}. ` +
+          `Waiting until ${pending.expires_at}`
+        );
+      }
+
+      if (Date.now() + approvalPollInterval * 1000 > deadline) {
+        throw new Error(`Token request ${pending.approval_id} was not approved within ${approvalTimeout}s`);
+      }
+      await sleep(approvalPollInterval * 1000);
+      response = await requestToken(tokenBureauUrl, audience, body);
+    }
 
     if (!response.ok) {
       const error = await response.text();
       core.error(`Error response: ${error}`);
-      throw new Error(`Failed to get token: ${error}`);
+      throw new Error(`Failed to get token: ${formatError(error, response.status)}`);
     }
 
     const data = await response.json();
@@ -52,6 +169,18 @@ async function run() {
     core.setOutput('token', data.token);
     core.setOutput('expires_at', data.expires_at);
     core.setOutput('installation_id', data.installation_id);
+    core.setOutput('app', data.app);
+    core.setOutput('repositories', JSON.stringify(data.repositories));
+    core.setOutput('cached', data.cached === true);
+
+    // Keep the token for the post step to revoke it when the job ends. Cached tokens
+    // are shared with other jobs of the workflow run, and expire on their own.
+    if (data.cached) {
+      core.info('Token is shared with other jobs of this workflow run, it will not be revoked');
+    } else if (core.getBooleanInput('revoke')) {
+      core.saveState('token', data.token);
+      core.saveState('app', data.app);
+    }
 
     core.debug('Action completed successfully');
   } catch (error) {
@@ -60,4 +189,46 @@ async function run() {
   }
 }
 
-run();
+async function revoke() {
+  try {
+    const token = core.getState('token');
+    if (!token) {
+      core.debug('No token to revoke');
+      return;
+    }
+
+    const tokenBureauUrl = core.getInput('token-bureau-url', { required: true });
+
+    core.debug('Sending revocation request to TokenBureau');
+    const response = await fetch(`${tokenBureauUrl}/revoke-token`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Accept': 'application/json',
+        'User-Agent': 'token-bureau-action'
+      },
+      body: JSON.stringify({ token, app: core.getState('app') || undefined })
+    });
+
+    core.debug(`Response status: ${response.status}`);
+
+    if (!response.ok) {
+      const error = await response.text();
+      core.warning(`Failed to revoke token: ${formatError(error, response.status)}`);
+      return;
+    }
+
+    core.info('Token revoked');
+  } catch (error) {
+    // Revocation is best effort: the token expires on its own anyway
+    core.warning(`Failed to revoke token: ${error.message}`);
+  }
+}
+
+// The same bundle runs as the main step and as the post step
+if (core.getState('isPost') === 'true') {
+  revoke();
+} else {
+  core.saveState('isPost', 'true');
+  run();
+}
@@ -0,0 +1,285 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import {
+  ApprovalExpiredError,
+  ApprovalNotFoundError,
+  ApprovalRejectedError,
+  InvalidRequestError
+} from './errors.js';
+import { approvalRequests } from './metrics.js';
+
+// Token requests that need an approval before a token is issued. Requests are kept in
+// a JSON file, so pending approvals survive restarts. The file only holds what was
+// requested and decided, never tokens. Every operation reads the file and writes it
+// back while holding a lock file, so replicas sharing the file on a volume see each
+// other's requests and never overwrite them.
+
+const APPROVAL_STATUSES = ['pending', 'approved', 'rejected', 'expired', 'issued'];
+
+// Requests that can no longer change are kept a week, for GET /approvals
+const RETENTION = 7 * 24 * 60 * 60 * 1000;
+
+// How long to wait for the lock, and after how long a lock left behind by a
+// crashed process is broken
+const LOCK_TIMEOUT = 5000;
+const LOCK_STALE = 10000;
+const LOCK_RETRY = 25;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function createApprovalStore({ file, timeout }, logger) {
+  const lockFile = `${file}.lock`;
+
+  async function read() {
+    try {
+      const { approvals = [] } = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+      return new Map(approvals.map(approval => [approval.id, approval]));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return new Map();
+      }
+      throw new Error(`Cannot load approvals from ${file}: ${error.message}`);
+    }
+  }
+
+  // Each write goes through a temporary file, so a crash never leaves a partial file
+  async function write(approvals) {
+    const now = Date.now();
+    for (const [id, approval] of approvals) {
+      if (['rejected', 'expired', 'issued'].includes(approval.status) && Date.parse(approval.updated_at) + RETENTION < now) {
+        approvals.delete(id);
+      }
+    }
+
+    const contents = JSON.stringify({ approvals: [...approvals.values()] }, null, 2);
+    await fs.promises.writeFile(`${file}.tmp`, contents, { mode: 0o600 });
+    await fs.promises.rename(`${file}.tmp`, file);
+  }
+
+  // Break a lock left behind by a crashed process. The lock is moved aside first, which
+  // only one process can do: if another one broke it and took a new lock in the
+  // meantime, the lock moved aside is not the stale one, and is given back.
+  async function breakStaleLock(staleIno) {
+    const movedFile = `${lockFile}.${crypto.randomUUID()}`;
+    try {
+      await fs.promises.rename(lockFile, movedFile);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return;
+      }
+      throw error;
+    }
+
+    try {
+      if ((await fs.promises.stat(movedFile)).ino === staleIno) {
+        logger.warn({ lockFile }, 'Broke stale approvals lock');
+        return;
+      }
+      // Linking never replaces a lock taken since
+      await fs.promises.link(movedFile, lockFile);
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        throw error;
+      }
+      logger.warn({ lockFile }, 'Approvals lock taken while breaking a stale lock');
+    } finally {
+      await fs.promises.rm(movedFile, { force: true });
+    }
+  }
+
+  // Create the lock file, which only one process can do at a time, holding a token
+  // that tells whether the lock is still ours when releasing it
+  async function acquireLock() {
+    const token = crypto.randomUUID();
+    const deadline = Date.now() + LOCK_TIMEOUT;
+    for (;;) {
+      try {
+        await fs.promises.writeFile(lockFile, token, { flag: 'wx', mode: 0o600 });
+        return token;
+      } catch (error) {
+        if (error.code !== 'EEXIST') {
+          throw error;
+        }
+      }
+
+      try {
+        const { ino, mtimeMs } = await fs.promises.stat(lockFile);
+        if (mtimeMs + LOCK_STALE < Date.now()) {
+          await breakStaleLock(ino);
+          continue;
+        }
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          throw error;
+        }
+      }
+
+      if (Date.now() > deadline) {
+        throw new Error(`Timed out waiting for the approvals lock: ${lockFile}`);
+      }
+      await sleep(LOCK_RETRY);
+    }
+  }
+
+  // Remove the lock, unless it was broken as stale and taken by another process
+  async function releaseLock(token) {
+    try {
+      if (await fs.promises.readFile(lockFile, 'utf8') === token) {
+        await fs.promises.rm(lockFile, { force: true });
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+  }
+
+  // Run an operation on the latest requests, saving them if it changed any, even
+  // when it fails, as it may have expired a request before rejecting its use.
+  // Operations of this process are queued, so they never wait for their own lock.
+  let queue = Promise.resolve();
+  function transaction(operation) {
+    const result = queue.then(async () => {
+      const token = await acquireLock();
+      try {
+        const state = { approvals: await read(), changed: false };
+        try {
+          return await operation(state);
+        } finally {
+          if (state.changed) {
+            await write(state.approvals);
+          }
+        }
+      } finally {
+        await releaseLock(token);
+      }
+    });
+    queue = result.catch(() => {});
+    return result;
+  }
+
+  function setStatus(state, approval, status, fields = {}) {
+    Object.assign(approval, fields, { status, updated_at: new Date().toISOString() });
+    approvalRequests.inc({ status });
+    state.changed = true;
+  }
+
+  // Requests not approved and used before their deadline expire
+  function expire(state, approval) {
+    if (['pending', 'approved'].includes(approval.status) && Date.parse(approval.expires_at) <= Date.now()) {
+      setStatus(state, approval, 'expired');
+    }
+  }
+
+  function find(state, id) {
+    const approval = state.approvals.get(id);
+    if (!approval) {
+      throw new ApprovalNotFoundError(`Approval not found: ${id}`);
+    }
+    expire(state, approval);
+    return approval;
+  }
+
+  await fs.promises.mkdir(path.dirname(file), { recursive: true });
+  logger.info({ file, count: (await read()).size }, 'Approvals loaded');
+
+  // Record a token request waiting for an approval
+  function create(request) {
+    return transaction(state => {
+      const now = new Date();
+      const approval = {
+        id: crypto.randomUUID(),
+        status: 'pending',
+        created_at: now.toISOString(),
+        updated_at: now.toISOString(),
+        expires_at: new Date(now.getTime() + timeout * 1000).toISOString(),
+        ...request
+      };
+      state.approvals.set(approval.id, approval);
+      state.changed = true;
+      approvalRequests.inc({ status: 'pending' });
+      return approval;
+    });
+  }
+
+  function get(id) {
+    return transaction(state => find(state, id));
+  }
+
+  // Requests with the given status, newest first
+  async function list({ status } = {}) {
+    if (status !== undefined && !APPROVAL_STATUSES.includes(status)) {
+      throw new InvalidRequestError(`Status must be one of: ${APPROVAL_STATUSES.join(', ')}`);
+    }
+    return transaction(state => {
+      const approvals = [...state.approvals.values()];
+      for (const approval of approvals) {
+        expire(state, approval);
+      }
+      return approvals
+        .filter(approval => !status || approval.status === status)
+        .reverse();
+    });
+  }
+
+  // Approve or reject a pending request
+  function decide(id, status, { approver = null, reason = null } = {}) {
+    return transaction(state => {
+      const approval = find(state, id);
+      if (approval.status !== 'pending') {
+        throw new InvalidRequestError(`Approval ${id} is already ${approval.status}`);
+      }
+      setStatus(state, approval, status, { approver, reason, decided_at: new Date().toISOString() });
+      return approval;
+    });
+  }
+
+  // Look up a request for the workflow run that made it, as it polls for its token.
+  // An approved request is marked as issued, so that it only gives a single token.
+  function claim(id, claims) {
+    return transaction(state => {
+      const approval = state.approvals.get(id);
+      if (
+        !approval ||
+        approval.issuer !== claims.issuer ||
+        approval.repository !== claims.repository ||
+        approval.run_id !== claims.run_id
+      ) {
+        throw new ApprovalNotFoundError(`Approval not found: ${id}`);
+      }
+      expire(state, approval);
+
+      switch (approval.status) {
+        case 'rejected':
+          throw new ApprovalRejectedError(
+            `Token request ${id} was rejected${approval.reason ? `: ${approval.reason}` : ''}`
+          );
+        case 'expired':
+          throw new ApprovalExpiredError(`Token request ${id} was not approved in time`);
+        case 'issued':
+          throw new ApprovalExpiredError(`Token request ${id} was already used to issue a token`);
+        case 'approved':
+          setStatus(state, approval, 'issued');
+          return approval;
+        default:
+          return approval;
+      }
+    });
+  }
+
+  // Make an approved request usable again, when its token could not be issued
+  function release(id) {
+    return transaction(state => {
+      const approval = state.approvals.get(id);
+      if (approval?.status === 'issued') {
+        Object.assign(approval, { status: 'approved', updated_at: new Date().toISOString() });
+        state.changed = true;
+      }
+    });
+  }
+
+  return { create, get, list, decide, claim, release };
+}
+
+export { APPROVAL_STATUSES, createApprovalStore };
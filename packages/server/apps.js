@@ -0,0 +1,258 @@
+import path from 'path';
+import { createAppAuth } from '@octokit/auth-app';
+import { request } from '@octokit/request';
+import { createTtlCache } from './cache.js';
+import { RepoNotInstalledError } from './errors.js';
+import { createKeyProvider } from './keys.js';
+import { createSignerAppAuth } from './signer-auth.js';
+import { watchDirectory } from './watch.js';
+import { installationCacheRequests, instrumentGitHubHook } from './metrics.js';
+
+// Token cache for Octokit auth instances that must not keep the tokens they mint
+const NO_TOKEN_CACHE = {
+  get: async () => undefined,
+  set: async () => {}
+};
+
+// Create an auth instance for the app, or for one of its installations. Keys held in
+// memory are used by Octokit; keys held by a remote provider sign the app JWTs.
+// Octokit keeps the installation tokens it mints in clear text unless cache is
+// NO_TOKEN_CACHE; signer auth only keeps the token its hook uses.
+function createAuth({ appId, keyProvider, privateKey, installationId, request, cache }) {
+  if (privateKey) {
+    return createAppAuth({
+      appId,
+      privateKey,
+      request,
+      ...(installationId ? { installationId } : {}),
+      ...(cache ? { cache } : {})
+    });
+  }
+  return createSignerAppAuth({ appId, keyProvider, installationId, request });
+}
+
+// Load a key from its provider, with the app-level auth instance and request using it
+async function loadKey(label, options, { appId, baseUrl, githubRequest }) {
+  const keyProvider = createKeyProvider(options);
+  const privateKey = keyProvider.getPrivateKey ? await keyProvider.getPrivateKey() : null;
+
+  // App-level auth instance, reused across requests so the app JWT is cached
+  const appAuth = createAuth({ appId, keyProvider, privateKey, request: githubRequest });
+
+  // Create app-level request with auth hook
+  const appRequest = request.defaults({
+    baseUrl,
+    request: {
+      hook: instrumentGitHubHook(appAuth.hook)
+    },
+    headers: {
+      accept: 'application/vnd.github.v3+json'
+    }
+  });
+
+  return { label, options, keyProvider, privateKey, appAuth, appRequest };
+}
+
+// A configured GitHub App, with its own keys, auth instances and installation cache.
+// Keys are loaded and checked when the app is created, so invalid keys fail at startup.
+// Requests go to the GitHub API the app is registered on, github.com or a GHES instance.
+// During a key rotation the app has a primary and a secondary key: the active key
+// changes to the other one when GitHub rejects the app JWT it signs.
+async function createGitHubApp(
+  { name, appId, baseUrl, key, secondaryKey },
+  { installationCacheTtl, githubRequest: baseRequest, logger }
+) {
+  // Requests made by auth instances, such as installation token creation
+  const githubRequest = baseRequest.defaults({ baseUrl });
+
+  const keys = [await loadKey('primary', key, { appId, baseUrl, githubRequest })];
+  if (secondaryKey) {
+    keys.push(await loadKey('secondary', secondaryKey, { appId, baseUrl, githubRequest }));
+  }
+  let activeKey = keys[0];
+
+  // Run an operation with the active key, and once more with the other key if GitHub
+  // answers 401. The other key only becomes active if it succeeds.
+  async function withKeyFallback(operation) {
+    const key = activeKey;
+    try {
+      return await operation(key);
+    } catch (error) {
+      const otherKey = keys.find(candidate => candidate !== key);
+      if (error.status !== 401 || !otherKey) {
+        throw error;
+      }
+
+      logger.warn({ app: name, key: key.label }, 'GitHub rejected the app JWT, trying the other private key');
+      const result = await operation(otherKey);
+      if (activeKey === key) {
+        activeKey = otherKey;
+        logger.warn({ app: name, key: otherKey.label }, 'Switched active private key');
+      }
+      return result;
+    }
+  }
+
+  const appAuth = options => withKeyFallback(key => key.appAuth(options));
+  const appRequest = (route, parameters) => withKeyFallback(key => key.appRequest(route, parameters));
+
+  // Installation IDs by lowercased owner login
+  const installationCache = createTtlCache(installationCacheTtl * 1000);
+
+  async function getInstallationId(owner) {
+    const cacheKey = owner.toLowerCase();
+    const cachedId = installationCache.get(cacheKey);
+    if (cachedId) {
+      installationCacheRequests.inc({ app: name, result: 'hit' });
+      logger.debug({ app: name, owner, id: cachedId }, 'Using cached installation');
+      return cachedId;
+    }
+    installationCacheRequests.inc({ app: name, result: 'miss' });
+
+    let installation;
+    try {
+      ({ data: installation } = await appRequest('GET /orgs/{org}/installation', { org: owner }));
+    } catch (error) {
+      if (error.status !== 404) {
+        throw error;
+      }
+
+      // Not an organization, or not installed on it: try as a user account
+      try {
+        ({ data: installation } = await appRequest('GET /users/{username}/installation', {
+          username: owner
+        }));
+      } catch (userError) {
+        if (userError.status === 404) {
+          throw new RepoNotInstalledError(`No installation of GitHub App ${name} found for owner: ${owner}`);
+        }
+        throw userError;
+      }
+    }
+
+    logger.debug({
+      app: name,
+      id: installation.id,
+      account: installation.account.login
+    }, 'Found installation');
+
+    installationCache.set(cacheKey, installation.id);
+    return installation.id;
+  }
+
+  // Forget the installation of an owner, when GitHub no longer accepts it
+  function forgetInstallation(owner) {
+    installationCache.delete(owner.toLowerCase());
+  }
+
+  // Installation-level request and token minting for each installation of this app,
+  // kept for the life of the app so that the installation token of their requests,
+  // cached by the auth instance, is reused across requests rather than minted for each
+  const installationClients = new Map();
+
+  function getInstallationClient(installationId) {
+    if (!installationClients.has(installationId)) {
+      installationClients.set(installationId, createInstallationClient(installationId));
+    }
+    return installationClients.get(installationId);
+  }
+
+  // Installation-level request and token minting for an installation of this app, for
+  // each key. Issued tokens are minted by an auth instance that keeps none of them, so
+  // they are only held by the encrypted token cache.
+  function createInstallationClient(installationId) {
+    // Created on first use of each key, which may have been reloaded in the meantime
+    const clients = new Map();
+    function getClient(key) {
+      if (!clients.has(key)) {
+        const authOptions = {
+          appId,
+          keyProvider: key.keyProvider,
+          privateKey: key.privateKey,
+          installationId,
+          request: githubRequest
+        };
+        const auth = createAuth(authOptions);
+        clients.set(key, {
+          mintAuth: key.privateKey ? createAuth({ ...authOptions, cache: NO_TOKEN_CACHE }) : auth,
+          request: request.defaults({
+            baseUrl,
+            request: {
+              hook: instrumentGitHubHook(auth.hook)
+            },
+            headers: {
+              accept: 'application/vnd.github.v3+json'
+            }
+          })
+        });
+      }
+      return clients.get(key);
+    }
+
+    return {
+      createToken: options => withKeyFallback(key => getClient(key).mintAuth({ type: 'installation', ...options })),
+      installationRequest: (route, parameters) => withKeyFallback(key => getClient(key).request(route, parameters))
+    };
+  }
+
+  // Reload a key from its file when the file changes on disk, keeping the current key
+  // if the new one is invalid
+  function watchKeyFile(index) {
+    const { label, options } = keys[index];
+
+    const reload = async () => {
+      try {
+        const reloaded = await loadKey(label, options, { appId, baseUrl, githubRequest });
+        if (reloaded.privateKey === keys[index].privateKey) {
+          return;
+        }
+        // A new primary key is tried first again
+        if (activeKey === keys[index] || index === 0) {
+          activeKey = reloaded;
+        }
+        keys[index] = reloaded;
+        logger.info({ app: name, key: label, file: options.file }, 'Private key reloaded');
+      } catch (error) {
+        logger.error({
+          app: name,
+          key: label,
+          error: error.message
+        }, 'Invalid private key file, keeping the current key');
+      }
+    };
+
+    return watchDirectory(path.dirname(options.file), reload, error => {
+      logger.error({ app: name, key: label, error: error.message }, 'Private key watcher failed');
+    });
+  }
+
+  function watchKeyFiles() {
+    return keys.flatMap((key, index) => key.options.type === 'file' ? [watchKeyFile(index)] : []);
+  }
+
+  // Keys of the app and the one in use, for the health endpoint and logs
+  function getKeyStatus() {
+    return {
+      active_key: activeKey.label,
+      keys: keys.map(key => key.label),
+      provider: activeKey.keyProvider.type
+    };
+  }
+
+  return {
+    name,
+    baseUrl,
+    get keyProvider() {
+      return activeKey.keyProvider;
+    },
+    appAuth,
+    appRequest,
+    getInstallationId,
+    forgetInstallation,
+    getInstallationClient,
+    watchKeyFiles,
+    getKeyStatus
+  };
+}
+
+export { createGitHubApp };
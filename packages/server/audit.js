@@ -0,0 +1,166 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+// Event fields that GET /audit can filter on, by exact match
+const AUDIT_FILTERS = [
+  'outcome',
+  'issuer',
+  'audience',
+  'code',
+  'subject',
+  'repository',
+  'app',
+  'actor',
+  'workflow_ref',
+  'run_id',
+  'approval_id',
+  'approver',
+  'token_hash'
+];
+
+// Tokens are never stored, only their SHA-256 hash
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Newest events first, matching all given filters
+function filterEvents(events, { since, limit = 100, ...filters } = {}) {
+  return events
+    .filter(event =>
+      (!since || event.timestamp >= since) &&
+      Object.entries(filters).every(([key, value]) => String(event[key]) === String(value))
+    )
+    .reverse()
+    .slice(0, limit);
+}
+
+function createStdoutSink() {
+  return {
+    name: 'stdout',
+    async write(event) {
+      process.stdout.write(`${JSON.stringify({ audit: event })}\n`);
+    }
+  };
+}
+
+// Append events as JSON lines, and query them back by reading the file
+function createFileSink(filePath) {
+  return {
+    name: 'file',
+    async write(event) {
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.appendFile(filePath, `${JSON.stringify(event)}\n`);
+    },
+    async query(filters) {
+      let contents;
+      try {
+        contents = await fs.promises.readFile(filePath, 'utf8');
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return [];
+        }
+        throw error;
+      }
+      const events = contents.split('\n').filter(Boolean).map(line => JSON.parse(line));
+      return filterEvents(events, filters);
+    }
+  };
+}
+
+// Events are POSTed in the background, so a slow endpoint never holds up responses,
+// and given up after the timeout, in seconds
+function createWebhookSink(url, timeout = 5) {
+  return {
+    name: 'webhook',
+    background: true,
+    async write(event) {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'token-bureau'
+        },
+        body: JSON.stringify(event),
+        signal: AbortSignal.timeout(timeout * 1000)
+      });
+      if (!response.ok) {
+        throw new Error(`Audit webhook returned ${response.status}`);
+      }
+    }
+  };
+}
+
+// Keep the latest events in memory, so recent events can be queried without a file sink
+function createMemorySink(size) {
+  const events = [];
+  return {
+    name: 'memory',
+    async write(event) {
+      events.push(event);
+      if (events.length > size) {
+        events.shift();
+      }
+    },
+    async query(filters) {
+      return filterEvents(events, filters);
+    }
+  };
+}
+
+const SINK_FACTORIES = {
+  stdout: () => createStdoutSink(),
+  file: options => createFileSink(options.file),
+  webhook: options => {
+    if (!options.webhookUrl) {
+      throw new Error('AUDIT_WEBHOOK_URL must be set to use the webhook audit sink');
+    }
+    return createWebhookSink(options.webhookUrl, options.webhookTimeout);
+  }
+};
+
+function createAuditSinks(options) {
+  const sinks = options.sinks.map(name => {
+    if (!SINK_FACTORIES[name]) {
+      throw new Error(`Unknown audit sink: ${name}`);
+    }
+    return SINK_FACTORIES[name](options);
+  });
+  sinks.push(createMemorySink(options.memorySize));
+  return sinks;
+}
+
+function createAuditLog(sinks, logger) {
+  // Write to every sink, waiting only for those not written in the background.
+  // A failing sink is logged but never fails the request.
+  async function record(event) {
+    const entry = { timestamp: new Date().toISOString(), ...event };
+    const writes = sinks.map(async sink => {
+      try {
+        await sink.write(entry);
+      } catch (error) {
+        logger.error({ error: error.message, sink: sink.name }, 'Failed to write audit event');
+      }
+    });
+    await Promise.all(writes.filter((write, index) => !sinks[index].background));
+  }
+
+  // Query the first sink able to read events back
+  async function query(filters) {
+    const sink = sinks.find(sink => sink.query);
+    return sink.query(filters);
+  }
+
+  return { record, query };
+}
+
+export {
+  AUDIT_FILTERS,
+  hashToken,
+  createStdoutSink,
+  createFileSink,
+  createWebhookSink,
+  createMemorySink,
+  createAuditSinks,
+  createAuditLog
+};
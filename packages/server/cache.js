@@ -0,0 +1,28 @@
+// Minimal in-memory cache whose entries expire after a fixed time to live
+function createTtlCache(ttl) {
+  const entries = new Map();
+
+  function get(key) {
+    const entry = entries.get(key);
+    if (!entry) {
+      return undefined;
+    }
+    if (entry.expiresAt <= Date.now()) {
+      entries.delete(key);
+      return undefined;
+    }
+    return entry.value;
+  }
+
+  function set(key, value) {
+    entries.set(key, { value, expiresAt: Date.now() + ttl });
+  }
+
+  function remove(key) {
+    return entries.delete(key);
+  }
+
+  return { get, set, delete: remove };
+}
+
+export { createTtlCache };
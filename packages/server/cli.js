@@ -0,0 +1,281 @@
+#!/usr/bin/env node
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import yaml from 'js-yaml';
+import {
+  DECISIONS,
+  explainPermissions,
+  getDecision,
+  getPermissionsConfigVersion,
+  loadPermissionsConfig,
+  parseTargetRepositories,
+  selectAllowedApp,
+  setDefaultIssuer,
+  setPermissionsConfigPath
+} from './permissions.js';
+
+// Offline checks of permissions configs, to gate policy changes before they are
+// deployed. Configs are loaded and resolved by the same code as the server, without
+// its environment: no GitHub App, OIDC issuer or network access is needed.
+
+const USAGE = `Usage: token-bureau <command> [options]
+
+Commands:
+  validate <path...>               Validate permissions config files or directories
+  test <file...> [--config <path>] Run the policy tests of YAML test files, against
+                                   the config they name or the one given
+
+Options:
+  --default-issuer <name>          Name of the first trusted OIDC issuer, whose tokens
+                                   entries apply to unless they list their issuers, and
+                                   the issuer of tests without one (default: github-actions)
+  --default-app <name>             GitHub App of tokens whose entries name no apps, as
+                                   GITHUB_DEFAULT_APP on the server (default: default)
+
+Exits with status 1 when a config is invalid or a test fails, 2 on usage errors.`;
+
+// Load a permissions config from a file or directory, as the server does
+async function loadConfig(configPath) {
+  setPermissionsConfigPath(configPath);
+  await loadPermissionsConfig();
+  return getPermissionsConfigVersion();
+}
+
+async function validate(paths) {
+  let failed = 0;
+  for (const configPath of paths) {
+    try {
+      const { version } = await loadConfig(configPath);
+      console.log(`ok    ${configPath} (version ${version})`);
+    } catch (error) {
+      failed++;
+      console.log(`FAIL  ${configPath}: ${error.message}`);
+    }
+  }
+
+  console.log(`\n${paths.length - failed} valid, ${failed} invalid`);
+  return failed === 0;
+}
+
+const formatPermissions = permissions =>
+  Object.entries(permissions).map(([perm, level]) => `${perm}=${level}`).join(', ') || 'none';
+
+// Same permissions at the same levels, in any order
+function samePermissions(expected, actual) {
+  const keys = Object.keys(expected);
+  return keys.length === Object.keys(actual).length && keys.every(perm => expected[perm] === actual[perm]);
+}
+
+// Check a test case and turn it into a request, as /generate-token would receive it.
+// Claims are the identity claims rules match against; the repository claims are set
+// from the test's repository.
+function parseTestCase(test, index) {
+  if (!test || typeof test !== 'object') {
+    throw new Error(`Test ${index + 1} must be a mapping`);
+  }
+  const name = test.name ?? `test ${index + 1}`;
+
+  if (typeof test.repository !== 'string' || !/^[^/]+\/[^/]+$/.test(test.repository)) {
+    throw new Error(`${name}: repository must be an owner/repo string`);
+  }
+  if (test.claims !== undefined && (typeof test.claims !== 'object' || Array.isArray(test.claims))) {
+    throw new Error(`${name}: claims must be a mapping`);
+  }
+  if (test.permissions !== undefined && (typeof test.permissions !== 'object' || Array.isArray(test.permissions))) {
+    throw new Error(`${name}: permissions must be a mapping of permission names to access levels`);
+  }
+  if (test.repositories !== undefined && !Array.isArray(test.repositories)) {
+    throw new Error(`${name}: repositories must be a list of repository names`);
+  }
+  if (test.scope !== undefined && !['repository', 'organization'].includes(test.scope)) {
+    throw new Error(`${name}: scope must be either 'repository' or 'organization'`);
+  }
+  if (test.app !== undefined && typeof test.app !== 'string') {
+    throw new Error(`${name}: app must be the name of a GitHub App`);
+  }
+  if (!DECISIONS.includes(test.expect?.decision)) {
+    throw new Error(`${name}: expect.decision must be one of: ${DECISIONS.join(', ')}`);
+  }
+
+  const [owner, repo] = test.repository.split('/');
+  let targetRepositories = null;
+  try {
+    targetRepositories = test.repositories && parseTargetRepositories(test.repositories.map(String), owner);
+  } catch (error) {
+    throw new Error(`${name}: ${error.message}`);
+  }
+
+  return {
+    name,
+    owner,
+    repo,
+    request: {
+      requestedPermissions: test.permissions ?? null,
+      targetRepositories,
+      scope: test.scope ?? 'repository',
+      claims: { ...test.claims, repository: test.repository, repository_owner: owner }
+    },
+    app: test.app ?? null,
+    expect: test.expect
+  };
+}
+
+// Run a test case, returning what differs from its expectations. Apps are picked as
+// the server does, without checking they are configured or installed.
+async function runTestCase({ owner, repo, request, app: requestedApp, expect }, defaultApp) {
+  const explanation = await explainPermissions(owner, repo, {
+    ...request,
+    selectApp: apps => selectAllowedApp(apps, requestedApp, defaultApp)
+  });
+  const { steps, grant, app, error } = explanation;
+  const decision = getDecision(explanation);
+
+  const failures = [];
+  if (decision !== expect.decision) {
+    failures.push(`expected ${expect.decision}, got ${decision}${error ? `: ${error.message}` : ''}`);
+  }
+  if (expect.code !== undefined && error?.code !== expect.code) {
+    failures.push(`expected code ${expect.code}, got ${error?.code ?? 'none'}`);
+  }
+  if (expect.app !== undefined && decision !== 'denied' && app !== expect.app) {
+    failures.push(`expected app ${expect.app}, got ${app}`);
+  }
+  if (expect.permissions !== undefined && decision !== 'denied' && !samePermissions(expect.permissions, grant.permissions)) {
+    failures.push(
+      `expected permissions ${formatPermissions(expect.permissions)}, got ${formatPermissions(grant.permissions)}`
+    );
+  }
+  if (expect.approval_permissions !== undefined && decision !== 'denied') {
+    const expected = [...expect.approval_permissions].sort();
+    const actual = [...(grant.approval?.permissions ?? [])].sort();
+    if (expected.join() !== actual.join()) {
+      failures.push(
+        `expected approval for ${expected.join(', ') || 'nothing'}, got ${actual.join(', ') || 'nothing'}`
+      );
+    }
+  }
+
+  return { failures, steps };
+}
+
+// The config entries a request went through, to tell why a test failed
+function formatSteps(steps) {
+  return steps.map(step => {
+    const source = [step.section, step.entry, step.target && `-> ${step.target}`].filter(Boolean).join(' ');
+    if (!step.applied) {
+      return `${source} (skipped)`;
+    }
+    return step.rule ? `${source} (rule ${step.rule.index + 1})` : source;
+  }).join('; ') || 'none';
+}
+
+// Run the tests of a file: a YAML mapping with the config under test, relative to
+// the file unless given on the command line, and the list of test cases
+async function runTestFile(file, configOverride, defaultApp) {
+  let suite;
+  try {
+    suite = yaml.load(await fs.promises.readFile(file, 'utf8'));
+    if (!suite || !Array.isArray(suite.tests) || suite.tests.length === 0) {
+      throw new Error('Test file must define a list of tests');
+    }
+
+    const configPath = configOverride ?? (suite.config && path.resolve(path.dirname(file), suite.config));
+    if (!configPath) {
+      throw new Error('No permissions config to test: set config in the test file or pass --config');
+    }
+    await loadConfig(configPath);
+    const relativePath = path.relative(process.cwd(), configPath);
+    console.log(`${file} (config: ${relativePath.startsWith('..') ? configPath : relativePath})`);
+  } catch (error) {
+    console.log(`FAIL  ${file}: ${error.message}`);
+    return { passed: 0, failed: 1 };
+  }
+
+  let passed = 0;
+  let failed = 0;
+  for (const [index, test] of suite.tests.entries()) {
+    let testCase;
+    let result;
+    try {
+      testCase = parseTestCase(test, index);
+      result = await runTestCase(testCase, defaultApp);
+    } catch (error) {
+      failed++;
+      console.log(`  FAIL  ${error.message}`);
+      continue;
+    }
+
+    if (result.failures.length === 0) {
+      passed++;
+      console.log(`  ok    ${testCase.name}`);
+      continue;
+    }
+
+    failed++;
+    console.log(`  FAIL  ${testCase.name}`);
+    for (const failure of result.failures) {
+      console.log(`        ${failure}`);
+    }
+    console.log(`        entries: ${formatSteps(result.steps)}`);
+  }
+
+  return { passed, failed };
+}
+
+async function test(files, configOverride, defaultApp) {
+  let passed = 0;
+  let failed = 0;
+  for (const file of files) {
+    const result = await runTestFile(file, configOverride, defaultApp);
+    passed += result.passed;
+    failed += result.failed;
+  }
+
+  console.log(`\n${passed} passed, ${failed} failed`);
+  return failed === 0;
+}
+
+async function main() {
+  let args;
+  try {
+    args = parseArgs({
+      args: process.argv.slice(2),
+      allowPositionals: true,
+      options: {
+        config: { type: 'string', short: 'c' },
+        'default-issuer': { type: 'string' },
+        'default-app': { type: 'string' },
+        help: { type: 'boolean', short: 'h' }
+      }
+    });
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    return 2;
+  }
+
+  const [command, ...paths] = args.positionals;
+  if (args.values.help) {
+    console.log(USAGE);
+    return 0;
+  }
+  if (!['validate', 'test'].includes(command) || paths.length === 0) {
+    console.error(USAGE);
+    return 2;
+  }
+  if (command === 'validate' && (args.values.config || args.values['default-app'])) {
+    console.error(`--config and --default-app are only used by the test command\n\n${USAGE}`);
+    return 2;
+  }
+
+  if (args.values['default-issuer']) {
+    setDefaultIssuer(args.values['default-issuer']);
+  }
+
+  const ok = command === 'validate'
+    ? await validate(paths)
+    : await test(paths, args.values.config && path.resolve(args.values.config), args.values['default-app'] ?? 'default');
+  return ok ? 0 : 1;
+}
+
+process.exitCode = await main();
@@ -0,0 +1,170 @@
+// Errors returned to clients, each with a stable machine-readable code and HTTP status.
+// Responses use the shape: { "code": "...", "error": "<title>", "details": "<message>" }
+class TokenBureauError extends Error {
+  static code = 'INTERNAL_ERROR';
+  static status = 500;
+  static title = 'Internal server error';
+
+  constructor(message, options) {
+    super(message, options);
+    this.name = this.constructor.name;
+  }
+
+  get code() {
+    return this.constructor.code;
+  }
+
+  get status() {
+    return this.constructor.status;
+  }
+
+  toJSON() {
+    return {
+      code: this.code,
+      error: this.constructor.title,
+      details: this.message
+    };
+  }
+}
+
+// Missing, malformed or unverifiable OIDC token
+class OidcInvalidError extends TokenBureauError {
+  static code = 'OIDC_INVALID';
+  static status = 401;
+  static title = 'Token verification failed';
+}
+
+// Missing or invalid credentials for an admin endpoint
+class UnauthorizedError extends TokenBureauError {
+  static code = 'UNAUTHORIZED';
+  static status = 401;
+  static title = 'Unauthorized';
+}
+
+// Malformed request body
+class InvalidRequestError extends TokenBureauError {
+  static code = 'INVALID_REQUEST';
+  static status = 422;
+  static title = 'Invalid request';
+}
+
+// Unknown permission, or access level the permission does not support
+class InvalidPermissionError extends TokenBureauError {
+  static code = 'INVALID_PERMISSION';
+  static status = 422;
+  static title = 'Invalid permission';
+}
+
+// Installation token to revoke is invalid, expired or already revoked
+class TokenInvalidError extends TokenBureauError {
+  static code = 'TOKEN_INVALID';
+  static status = 422;
+  static title = 'Invalid token';
+}
+
+// Request not allowed by the permissions config
+class PermissionDeniedError extends TokenBureauError {
+  static code = 'PERMISSION_DENIED';
+  static status = 403;
+  static title = 'Permission denied';
+}
+
+// Repository without any entry in the permissions config, in deny mode
+class RepoNotEnrolledError extends TokenBureauError {
+  static code = 'REPO_NOT_ENROLLED';
+  static status = 403;
+  static title = 'Repository not enrolled';
+}
+
+// Token request rejected by an approver
+class ApprovalRejectedError extends TokenBureauError {
+  static code = 'APPROVAL_REJECTED';
+  static status = 403;
+  static title = 'Approval rejected';
+}
+
+// Unknown approval, or one requested by another workflow run
+class ApprovalNotFoundError extends TokenBureauError {
+  static code = 'APPROVAL_NOT_FOUND';
+  static status = 404;
+  static title = 'Approval not found';
+}
+
+// Approval not decided in time, or already used to issue a token
+class ApprovalExpiredError extends TokenBureauError {
+  static code = 'APPROVAL_EXPIRED';
+  static status = 410;
+  static title = 'Approval expired';
+}
+
+// The GitHub App is not installed on the repository owner
+class RepoNotInstalledError extends TokenBureauError {
+  static code = 'REPO_NOT_INSTALLED';
+  static status = 404;
+  static title = 'Repository not installed';
+}
+
+// Repository missing, or not accessible to the installation
+class RepoNotFoundError extends TokenBureauError {
+  static code = 'REPO_NOT_FOUND';
+  static status = 404;
+  static title = 'Repository not found';
+}
+
+// Too many token requests; retryAfter is the number of seconds until the limit resets
+class RateLimitedError extends TokenBureauError {
+  static code = 'RATE_LIMITED';
+  static status = 429;
+  static title = 'Rate limit exceeded';
+
+  constructor(message, { retryAfter, ...options } = {}) {
+    super(message, options);
+    this.retryAfter = retryAfter;
+  }
+}
+
+// Permissions config missing or invalid
+class ConfigInvalidError extends TokenBureauError {
+  static code = 'CONFIG_INVALID';
+  static status = 500;
+  static title = 'Invalid permissions config';
+}
+
+// Unexpected response from the GitHub API
+class GitHubApiError extends TokenBureauError {
+  static code = 'GITHUB_API_ERROR';
+  static status = 502;
+  static title = 'GitHub API error';
+}
+
+// Wrap any error into a TokenBureauError. Octokit request errors come from
+// GitHub, anything else is an internal error.
+function toTokenBureauError(error) {
+  if (error instanceof TokenBureauError) {
+    return error;
+  }
+  if (error.name === 'HttpError') {
+    return new GitHubApiError(`GitHub API returned ${error.status}: ${error.message}`, { cause: error });
+  }
+  return new TokenBureauError(error.message, { cause: error });
+}
+
+export {
+  TokenBureauError,
+  OidcInvalidError,
+  UnauthorizedError,
+  InvalidRequestError,
+  InvalidPermissionError,
+  TokenInvalidError,
+  PermissionDeniedError,
+  RepoNotEnrolledError,
+  ApprovalRejectedError,
+  ApprovalNotFoundError,
+  ApprovalExpiredError,
+  RepoNotInstalledError,
+  RepoNotFoundError,
+  RateLimitedError,
+  ConfigInvalidError,
+  GitHubApiError,
+  toTokenBureauError
+};
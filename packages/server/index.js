@@ -1,30 +1,91 @@
+import crypto from 'crypto';
 import express from 'express';
-import jwt from 'jsonwebtoken';
-import jwksClient from 'jwks-rsa';
-import { createAppAuth } from '@octokit/auth-app';
 import { request } from '@octokit/request';
 import pRetry from 'p-retry';
 import pino from 'pino';
 import config from './config.js';
-import { getEffectivePermissions } from './permissions.js';
+import { createGitHubApp } from './apps.js';
+import { AUDIT_FILTERS, createAuditLog, createAuditSinks, hashToken } from './audit.js';
+import { createReadinessCheck } from './readiness.js';
+import { createOidcVerifier } from './oidc.js';
+import { createRateLimitStore, createRateLimiter } from './ratelimit.js';
+import { createTokenCache } from './token-cache.js';
+import { createRevocationScheduler } from './revocations.js';
+import { createApprovalStore } from './approvals.js';
+import {
+  register,
+  httpRequestDuration,
+  tokensIssued,
+  tokenDenials,
+  oidcVerificationFailures,
+  tokenCacheRequests,
+  formatPermissionsLabel,
+  instrumentGitHubHook
+} from './metrics.js';
+import {
+  ConfigInvalidError,
+  GitHubApiError,
+  InvalidRequestError,
+  OidcInvalidError,
+  PermissionDeniedError,
+  RepoNotFoundError,
+  TokenInvalidError,
+  UnauthorizedError,
+  toTokenBureauError
+} from './errors.js';
+import {
+  MIN_TOKEN_LIFETIME,
+  MAX_TOKEN_LIFETIME,
+  getEffectivePermissions,
+  getCrossRepositoryPermissions,
+  getOrganizationPermissions,
+  explainPermissions,
+  parseTargetRepositories,
+  selectAllowedApp,
+  getDecision,
+  getRateLimits,
+  loadPermissionsConfig,
+  getPermissionsConfigVersion,
+  setDefaultIssuer,
+  setPermissionsConfigPath,
+  watchPermissionsConfig
+} from './permissions.js';
 
 // Initialize logger
 const logger = pino(config.logger);
 
+setPermissionsConfigPath(config.permissions.path);
+
+// Policy entries apply to tokens of the first trusted issuer unless they list others
+setDefaultIssuer(config.oidc.issuers[0].name);
+
+const auditLog = createAuditLog(createAuditSinks(config.audit), logger);
+
+const rateLimiter = createRateLimiter(createRateLimitStore(config.rateLimit, logger), logger);
+
+const tokenCache = createTokenCache(config.tokenCache);
+
+// Token requests waiting for an approval, loaded from their file
+const approvalStore = await createApprovalStore(config.approvals, logger);
+
 const app = express();
 const port = config.port;
 
+// Client IPs are read from X-Forwarded-For only behind trusted proxies
+app.set('trust proxy', config.trustProxy);
+
 // Middleware
 app.use(express.json());
 
 // Custom request logging middleware
 app.use((req, res, next) => {
-  // Skip logging for health checks
-  if (req.url === '/health' || req.url === '/') {
+  // Skip logging for health checks and metrics scraping
+  if (['/', '/health', '/ready', '/metrics'].includes(req.url)) {
     return next();
   }
 
   const startTime = Date.now();
+  const endTimer = httpRequestDuration.startTimer({ method: req.method });
   const requestId = Math.random().toString(36).substring(2, 15);
 
   // Set JSON content type for all API responses
@@ -40,6 +101,8 @@ app.use((req, res, next) => {
   // Log response
   res.on('finish', () => {
     const duration = Date.now() - startTime;
+    endTimer({ route: req.route?.path ?? 'unmatched', status_code: res.statusCode });
+
     const level = res.statusCode >= 500 ? 'error' : res.statusCode >= 400 ? 'warn' : 'info';
     
     logger[level]({
@@ -54,148 +117,267 @@ app.use((req, res, next) => {
   next();
 });
 
-// Error handling middleware - must be after all other middleware
-app.use((err, req, res, next) => {
-  logger.error({ error: err.message }, 'Middleware error caught');
-  
-  // Ensure we always send JSON responses, even in error cases
-  res.setHeader('Content-Type', 'application/json');
-  
-  return res.status(500).json({
-    error: 'Internal server error',
-    details: err.message
-  });
+// Verifier for OIDC tokens of all trusted issuers
+const oidcVerifier = createOidcVerifier(config.oidc.issuers, logger);
+
+// Base request for GitHub API calls made outside of auth hooks, such as
+// installation token creation, timed for metrics
+const githubRequest = request.defaults({
+  request: {
+    hook: instrumentGitHubHook((request, options) => request(options))
+  }
 });
 
-// Setup JWKS Client for GitHub Actions OIDC
-const client = jwksClient({
-  jwksUri: 'https://token.actions.githubusercontent.com/.well-known/jwks',
-  cache: true,
-  rateLimit: true
+// Configured GitHub Apps by name, each with its own auth instance and installation cache
+const githubApps = new Map(await Promise.all(config.github.apps.map(async app => [app.name, await createGitHubApp(app, {
+  installationCacheTtl: config.github.installationCacheTtl,
+  githubRequest,
+  logger
+})])));
+
+const checkReadiness = createReadinessCheck({
+  apps: [...githubApps.values()],
+  loadPermissionsConfig,
+  getPermissionsConfigVersion,
+  jwksStatus: oidcVerifier.jwksStatus
 });
 
-// Function to get signing key
-function getKey(header, callback) {
-  logger.debug({ kid: header.kid }, 'Getting signing key');
-  
-  client.getSigningKey(header.kid, (err, key) => {
-    if (err) {
-      logger.error({ err }, 'Error getting signing key');
-      return callback(err);
-    }
-    try {
-      const signingKey = key.getPublicKey();
-      callback(null, signingKey);
-    } catch (error) {
-      logger.error({ error }, 'Error getting public key');
-      callback(error);
-    }
-  });
+// GitHub API each OIDC issuer's tokens are minted on, if bound to one
+const issuerApiUrls = new Map(config.oidc.issuers.map(issuer => [issuer.name, issuer.githubApiUrl]));
+
+// Default app of each GitHub API: the configured default app on its own API,
+// else the first app registered on it
+const defaultApps = new Map();
+for (const githubApp of [githubApps.get(config.github.defaultApp), ...githubApps.values()]) {
+  if (!defaultApps.has(githubApp.baseUrl)) {
+    defaultApps.set(githubApp.baseUrl, githubApp.name);
+  }
 }
 
-async function generateToken(owner, repository, requestedPermissions = null) {
-  // Extract repository name if it includes owner
-  const repoName = repository.includes('/') ? repository.split('/')[1] : repository;
+// Revoke an installation token, which authenticates its own revocation. Without the
+// app it was issued with, each GitHub API of the configured apps is tried in turn, as
+// the others reject the token.
+async function revokeToken(token, appName = null) {
+  const baseUrls = appName ? [githubApps.get(appName).baseUrl] : [...defaultApps.keys()];
 
-  logger.debug({ owner, repository: repoName }, 'Starting token generation');
+  for (const baseUrl of baseUrls) {
+    try {
+      await githubRequest('DELETE /installation/token', {
+        baseUrl,
+        headers: {
+          authorization: `token ${token}`,
+          accept: 'application/vnd.github.v3+json'
+        }
+      });
+      return;
+    } catch (error) {
+      if (error.status !== 401) {
+        throw error;
+      }
+    }
+  }
 
-  try {
-    // Create app-level auth instance
-    const appAuth = createAppAuth({
-      appId: config.github.appId,
-      privateKey: config.github.privateKey,
-    });
+  throw new TokenInvalidError('Token is invalid, expired or already revoked');
+}
 
-    // Create app-level request with auth hook
-    const appRequest = request.defaults({
-      request: {
-        hook: appAuth.hook
-      },
-      headers: {
-        accept: 'application/vnd.github.v3+json'
-      }
-    });
+// Tokens with a lifetime shorter than GitHub's are revoked when it ends
+const revocationScheduler = createRevocationScheduler(revokeToken, logger);
 
-    // Get installations using app-level auth
-    const { data: installations } = await appRequest('GET /app/installations');
+// Pick the app to issue a token with: the requested app, or the first app allowed by
+// the permissions config, which defaults to the configured default app. Tokens of an
+// issuer bound to a GitHub API, such as a GHES instance, only come from its apps.
+function selectGitHubApp(allowedApps, requestedApp, apiUrl = null) {
+  const isOnApi = name => !apiUrl || githubApps.get(name)?.baseUrl === apiUrl;
+  const defaultApp = apiUrl ? defaultApps.get(apiUrl) : config.github.defaultApp;
+  const name = selectAllowedApp(allowedApps, requestedApp, defaultApp, isOnApi);
 
-    logger.debug({ 
-      count: installations.length,
-      accounts: installations.map(i => i.account.login)
-    }, 'Found installations');
+  if (!name) {
+    throw new PermissionDeniedError(`No GitHub App of ${apiUrl} is allowed for this repository`);
+  }
 
-    const installation = installations.find(inst => 
-      inst.account.login.toLowerCase() === owner.toLowerCase()
-    );
+  const githubApp = githubApps.get(name);
+  if (!githubApp) {
+    throw new ConfigInvalidError(`Unknown GitHub App in permissions config: ${name}`);
+  }
+  if (!isOnApi(name)) {
+    throw new PermissionDeniedError(`GitHub App ${name} cannot issue tokens for ${apiUrl}`);
+  }
+  return githubApp;
+}
 
-    if (!installation) {
-      throw new Error(`No installation found for owner: ${owner}`);
-    }
+// Tokens live for the lifetime asked for, within the policy's cap
+function getTokenLifetime(requestedLifetime, grant) {
+  return Math.min(requestedLifetime ?? MAX_TOKEN_LIFETIME, grant.maxLifetime ?? MAX_TOKEN_LIFETIME);
+}
 
-    logger.debug({
-      id: installation.id,
-      account: installation.account.login
-    }, 'Found installation');
+async function generateToken(owner, repository, {
+  requestedPermissions = null,
+  targetRepositories = null,
+  scope = 'repository',
+  requestedApp = null,
+  requestedLifetime = null,
+  claims = {},
+  approved = false
+} = {}) {
+  // Extract repository name if it includes owner (or a nested namespace)
+  const repoName = repository.split('/').pop();
+
+  // Token is scoped to the calling repository unless other targets are requested.
+  // Organization tokens are not bound to any repository.
+  const organizationScope = scope === 'organization';
+  const repoNames = organizationScope
+    ? []
+    : targetRepositories?.length ? targetRepositories : [repoName];
+
+  logger.debug({ owner, repository: repoName, scope, targets: repoNames }, 'Starting token generation');
+
+  // Get effective permissions and allowed apps based on config, OIDC claims and request
+  let grant;
+  if (organizationScope) {
+    grant = await getOrganizationPermissions(owner, repoName, requestedPermissions, claims);
+  } else if (targetRepositories?.length) {
+    grant = await getCrossRepositoryPermissions(owner, repoName, repoNames, requestedPermissions, claims);
+  } else {
+    grant = await getEffectivePermissions(owner, repoName, requestedPermissions, claims);
+  }
 
-    // Create installation-level auth instance
-    const installationAuth = createAppAuth({
-      appId: config.github.appId,
-      privateKey: config.github.privateKey,
-      installationId: installation.id
+  const { permissions } = grant;
+
+  const lifetime = getTokenLifetime(requestedLifetime, grant);
+  const limitedLifetime = lifetime < MAX_TOKEN_LIFETIME;
+
+  const githubApp = selectGitHubApp(grant.apps, requestedApp, issuerApiUrls.get(claims.issuer));
+
+  // Tokens needing an approval are only issued once an approver accepts the request,
+  // with the permissions and app it was made for
+  if (grant.approval && !approved) {
+    const approval = await approvalStore.create({
+      issuer: claims.issuer,
+      repository: claims.repository,
+      run_id: claims.run_id,
+      actor: claims.actor,
+      workflow_ref: claims.workflow_ref,
+      ref: claims.ref,
+      scope,
+      repositories: targetRepositories?.length ? repoNames.map(name => `${owner}/${name}`) : null,
+      app: githubApp.name,
+      permissions,
+      approval_permissions: grant.approval.permissions,
+      lifetime: requestedLifetime
     });
+    logger.info({ approvalId: approval.id, permissions: grant.approval.permissions }, 'Token request waiting for approval');
+    return formatPendingApproval(approval);
+  }
 
-    // Create installation-level request with auth hook
-    const installationRequest = request.defaults({
-      request: {
-        hook: installationAuth.hook
-      },
-      headers: {
-        accept: 'application/vnd.github.v3+json'
+  try {
+    const installationId = await githubApp.getInstallationId(owner);
+    const { createToken, installationRequest } = githubApp.getInstallationClient(installationId);
+
+    logger.debug({ permissions, app: githubApp.name }, 'Calculated effective permissions');
+
+    // Identical requests of a workflow run share a token when the policy allows it,
+    // looked up before any other GitHub call. Tokens revoked before GitHub's expiry
+    // are never shared, nor approved tokens, which their job must be able to revoke.
+    const cacheRequest = grant.cacheToken && claims.run_id && !limitedLifetime && !approved
+      ? {
+        app: githubApp.name,
+        installationId,
+        repositories: organizationScope ? null : repoNames.map(name => `${owner}/${name}`.toLowerCase()),
+        permissions,
+        issuer: claims.issuer,
+        runId: claims.run_id
       }
-    });
+      : null;
+
+    if (cacheRequest) {
+      const cached = tokenCache.get(cacheRequest);
+      tokenCacheRequests.inc({ app: githubApp.name, result: cached ? 'hit' : 'miss' });
+      if (cached) {
+        logger.debug({ expiresAt: cached.expires_at }, 'Using cached installation token');
+        return cached;
+      }
+    }
 
     // Get repository details using installation auth
-    try {
-      const { data: repo } = await installationRequest('GET /repos/{owner}/{repo}', {
-        owner,
-        repo: repoName
-      });
+    const repos = [];
+    for (const name of repoNames) {
+      try {
+        const { data: repo } = await installationRequest('GET /repos/{owner}/{repo}', {
+          owner,
+          repo: name
+        });
+
+        logger.debug({
+          id: repo.id,
+          full_name: repo.full_name
+        }, 'Found repository');
+
+        repos.push(repo);
+      } catch (error) {
+        if (error.status === 404) {
+          // Also raised when the cached installation no longer exists
+          githubApp.forgetInstallation(owner);
+          throw new RepoNotFoundError(`Repository not found: ${owner}/${name}`);
+        }
+        throw error;
+      }
+    }
 
-      logger.debug({
-        id: repo.id,
-        full_name: repo.full_name
-      }, 'Found repository');
+    const repositoryIds = organizationScope ? null : repos.map(repo => repo.id);
 
-      // Get effective permissions based on config and request
-      const permissions = await getEffectivePermissions(owner, repository, requestedPermissions);
+    // Get installation access token for the repositories and permissions.
+    // Without repository IDs, the token covers every repository of the installation.
+    const { token, expiresAt, permissions: grantedPermissions } = await createToken({
+      ...(repositoryIds ? { repositoryIds } : {}),
+      permissions
+    });
 
-      logger.debug({ permissions }, 'Calculated effective permissions');
+    if (!token) {
+      throw new GitHubApiError('Failed to generate installation token');
+    }
 
-      // Get installation access token using installation auth
-      const { token, expiresAt } = await installationAuth({
-        type: "installation",
-        repositoryIds: [repo.id],
-        permissions
-      });
+    logger.debug({ expiresAt }, 'Generated installation token');
 
-      if (!token) {
-        throw new Error('Failed to generate installation token');
-      }
+    // Shorter lifetimes are enforced by revoking the token when they end
+    let tokenExpiresAt = expiresAt;
+    if (limitedLifetime) {
+      tokenExpiresAt = new Date(Math.min(Date.parse(expiresAt), Date.now() + lifetime * 1000)).toISOString();
+      revocationScheduler.schedule(token, githubApp.name, tokenExpiresAt);
+      logger.debug({ lifetime, expiresAt: tokenExpiresAt }, 'Scheduled token revocation');
+    }
 
-      logger.debug({ expiresAt }, 'Generated installation token');
+    const result = {
+      token,
+      expires_at: tokenExpiresAt,
+      installation_id: installationId,
+      app: githubApp.name,
+      permissions: grantedPermissions ?? permissions,
+      scope,
+      ...(organizationScope ? {} : { repositories: repos.map(repo => repo.full_name) }),
+      // Cached tokens are shared by the jobs of the run, which must not revoke them
+      cached: cacheRequest !== null
+    };
+
+    // Only minted tokens are counted, not cached tokens handed out again
+    tokensIssued.inc({
+      owner,
+      repository,
+      scope,
+      app: githubApp.name,
+      permissions: formatPermissionsLabel(result.permissions)
+    });
 
-      return {
-        token,
-        expires_at: expiresAt,
-        installation_id: installation.id
-      };
-    } catch (error) {
-      if (error.status === 404) {
-        throw new Error(`Repository not found: ${owner}/${repoName}`);
-      }
-      throw error;
+    if (cacheRequest) {
+      tokenCache.set(cacheRequest, result);
     }
+
+    return result;
   } catch (error) {
+    // Forget the installation if GitHub no longer accepts it
+    if (error.status === 401 || error.status === 404) {
+      githubApp.forgetInstallation(owner);
+    }
+
     logger.error({ 
       error: error.message,
       status: error.status,
@@ -205,12 +387,24 @@ async function generateToken(owner, repository, requestedPermissions = null) {
   }
 }
 
+// Response to a token request waiting for an approval
+function formatPendingApproval(approval) {
+  return {
+    status: 'pending',
+    approval_id: approval.id,
+    expires_at: approval.expires_at,
+    permissions: approval.permissions,
+    approval_permissions: approval.approval_permissions
+  };
+}
+
 function extractAndDecodeToken(authHeader) {
   logger.debug({ authHeader }, 'Processing authorization header'); // Add debug log
 
   if (!authHeader?.startsWith('Bearer ')) {
     logger.error({ authHeader }, 'Authorization header missing or invalid format');
-    throw new Error('Missing or invalid Authorization header');
+    oidcVerificationFailures.inc({ reason: 'MissingToken' });
+    throw new OidcInvalidError('Missing or invalid Authorization header');
   }
 
   let tokenPayload = authHeader.split(' ')[1];
@@ -229,123 +423,510 @@ function extractAndDecodeToken(authHeader) {
   const parts = tokenPayload.split('.');
   if (parts.length !== 3) {
     logger.error({ parts: parts.length }, 'Invalid JWT structure');
-    throw new Error('Invalid JWT format - token must have three parts');
+    oidcVerificationFailures.inc({ reason: 'MalformedToken' });
+    throw new OidcInvalidError('Invalid JWT format - token must have three parts');
   }
 
   return tokenPayload;
 }
 
+// Who asked for a token and what they asked for, recorded with every audit event
+function getAuditFields(req, claims = {}) {
+  const body = req.body ?? {};
+  return {
+    issuer: claims.issuer,
+    audience: claims.audience,
+    subject: claims.sub,
+    repository: claims.repository,
+    workflow_ref: claims.workflow_ref,
+    job_workflow_ref: claims.job_workflow_ref,
+    ref: claims.ref,
+    event_name: claims.event_name,
+    environment: claims.environment,
+    run_id: claims.run_id,
+    run_attempt: claims.run_attempt,
+    actor: claims.actor,
+    client_ip: req.ip,
+    scope: body.scope ?? 'repository',
+    requested_app: body.app,
+    requested_lifetime: body.lifetime,
+    approval_id: body.approval_id,
+    requested_permissions: body.permissions,
+    requested_repositories: body.repositories
+  };
+}
+
+// Check the admin bearer token, comparing hashes to keep the comparison constant-time
+function requireAdmin(req, adminToken) {
+  if (!adminToken) {
+    throw new UnauthorizedError('Admin endpoints are disabled: no admin token is configured');
+  }
+
+  const provided = req.headers.authorization?.startsWith('Bearer ')
+    ? req.headers.authorization.slice('Bearer '.length)
+    : '';
+  const expectedHash = crypto.createHash('sha256').update(adminToken).digest();
+  const providedHash = crypto.createHash('sha256').update(provided).digest();
+
+  if (!crypto.timingSafeEqual(expectedHash, providedHash)) {
+    throw new UnauthorizedError('Missing or invalid admin token');
+  }
+}
+
+// Validate the body of a token request, as sent to /generate-token and /explain
+function parseTokenRequest(body) {
+  // Extract permissions from request body
+  const requestedPermissions = body.permissions;
+
+  logger.debug({ 
+    bodyType: typeof body,
+    body,
+    requestedPermissions 
+  }, 'Parsed request body');
+
+  if (requestedPermissions && typeof requestedPermissions !== 'object') {
+    throw new InvalidRequestError('Permissions must be an object mapping permission names to access levels');
+  }
+
+  // Extract target repositories from request body
+  const requestedRepositories = body.repositories;
+
+  if (requestedRepositories !== undefined && (
+    !Array.isArray(requestedRepositories) ||
+    requestedRepositories.some(r => typeof r !== 'string' || !/^([\w.-]+\/)?[\w.-]+$/.test(r))
+  )) {
+    throw new InvalidRequestError('Repositories must be an array of repository names or owner/repo strings');
+  }
+
+  // Extract token scope from request body
+  const scope = body.scope ?? 'repository';
+
+  if (!['repository', 'organization'].includes(scope)) {
+    throw new InvalidRequestError("Scope must be either 'repository' or 'organization'");
+  }
+
+  if (scope === 'organization' && requestedRepositories !== undefined) {
+    throw new InvalidRequestError('Repositories cannot be requested with organization scope');
+  }
+
+  // Extract the requested token lifetime, in seconds, from request body
+  const requestedLifetime = body.lifetime ?? null;
+
+  if (requestedLifetime !== null && (
+    !Number.isInteger(requestedLifetime) ||
+    requestedLifetime < MIN_TOKEN_LIFETIME ||
+    requestedLifetime > MAX_TOKEN_LIFETIME
+  )) {
+    throw new InvalidRequestError(
+      `Lifetime must be a number of seconds between ${MIN_TOKEN_LIFETIME} and ${MAX_TOKEN_LIFETIME}`
+    );
+  }
+
+  // Extract the approval the workflow polls for, if any, from request body
+  const approvalId = body.approval_id ?? null;
+
+  if (approvalId !== null && typeof approvalId !== 'string') {
+    throw new InvalidRequestError('Approval ID must be a string');
+  }
+
+  // Extract the requested GitHub App, if any, from request body
+  const requestedApp = body.app ?? null;
+
+  if (requestedApp !== null && (typeof requestedApp !== 'string' || !githubApps.has(requestedApp))) {
+    throw new InvalidRequestError(`Unknown GitHub App: ${requestedApp}`);
+  }
+
+  return {
+    requestedPermissions,
+    requestedRepositories,
+    scope,
+    requestedLifetime,
+    approvalId,
+    requestedApp
+  };
+}
+
+// Verify the OIDC token of a token request and map its claims to the bureau's
+// identity claims, which must name the repository the token is for
+async function verifyTokenRequest(tokenPayload, res) {
+  const decoded = await oidcVerifier.verify(tokenPayload);
+
+  // Keep the verified claims for auditing denials in the error handler
+  res.locals.claims = decoded;
+
+  if (!decoded.repository || !decoded.repository_owner) {
+    oidcVerificationFailures.inc({ reason: 'MissingClaims' });
+    throw new OidcInvalidError('Missing repository information in token');
+  }
+
+  return decoded;
+}
+
 // Route to generate GitHub App token
 app.post('/generate-token', async (req, res) => {
-  try {
-    logger.debug({
-      headers: req.headers,
-      body: req.body
-    }, 'Processing token generation request');
+  const body = req.body ?? {};
 
-    const tokenPayload = extractAndDecodeToken(req.headers.authorization);
-    
-    // Extract permissions from request body
-    const requestedPermissions = req.body.permissions;
+  logger.debug({
+    headers: req.headers,
+    body
+  }, 'Processing token generation request');
 
-    logger.debug({ 
-      bodyType: typeof req.body,
-      body: req.body,
-      requestedPermissions 
-    }, 'Parsed request body');
+  // Limit requests by client IP before doing any work for them
+  const defaultLimits = await getRateLimits();
+  await rateLimiter.consume('ip', req.ip, defaultLimits.ip, defaultLimits.window);
 
-    if (requestedPermissions && typeof requestedPermissions !== 'object') {
-      throw new Error('Permissions must be an object mapping permission names to access levels');
+  const tokenPayload = extractAndDecodeToken(req.headers.authorization);
+  
+  const {
+    requestedPermissions,
+    requestedRepositories,
+    scope,
+    requestedLifetime,
+    approvalId,
+    requestedApp
+  } = parseTokenRequest(body);
+
+  const decoded = await verifyTokenRequest(tokenPayload, res);
+
+  // Extract repository information from the token
+  const repo = decoded.repository;
+  const repoOwner = decoded.repository_owner;
+
+  // Limit requests by repository and owner, before calling GitHub
+  const repoName = repo.split('/').pop();
+  const limits = await getRateLimits(repoOwner, repoName);
+  await rateLimiter.consume('repository', `${repoOwner}/${repoName}`.toLowerCase(), limits.repository, limits.window);
+  await rateLimiter.consume('owner', repoOwner.toLowerCase(), limits.owner, limits.window);
+
+  const targetRepositories = requestedRepositories
+    ? parseTargetRepositories(requestedRepositories, repoOwner)
+    : null;
+
+  // A polled request is issued as approved, and waits until it is decided
+  const approval = approvalId ? await approvalStore.claim(approvalId, decoded) : null;
+  if (approval?.status === 'pending') {
+    return res.status(202).json(formatPendingApproval(approval));
+  }
+
+  const request = approval
+    ? {
+      requestedPermissions: approval.permissions,
+      targetRepositories: approval.repositories && parseTargetRepositories(approval.repositories, repoOwner),
+      scope: approval.scope,
+      requestedApp: approval.app,
+      requestedLifetime: approval.lifetime,
+      approved: true
     }
+    : { requestedPermissions, targetRepositories, scope, requestedApp, requestedLifetime };
 
-    // Verify OIDC token
-    const decoded = await new Promise((resolve, reject) => {
-      jwt.verify(tokenPayload, getKey, {
-        issuer: 'https://token.actions.githubusercontent.com',
-        audience: config.oidc.audience,
-        algorithms: ['RS256'],
-        clockTolerance: 60 // Allow 1 minute clock skew
-      }, (err, decoded) => {
-        if (err) {
-          logger.error({ error: err }, 'JWT verification failed');
-          reject(new Error(`Token verification failed: ${err.message}`));
-        } else {
-          resolve(decoded);
+  // Generate token with retry logic
+  let result;
+  try {
+    result = await pRetry(
+      () => generateToken(repoOwner, repo, { ...request, claims: decoded }),
+      {
+        retries: 0,
+        onFailedAttempt: error => {
+          logger.error({ 
+            attempt: error.attemptNumber,
+            error: error.message 
+          }, 'Failed to generate token');
         }
-      });
-    }).catch(error => {
-      throw error; // Re-throw to be caught by outer try-catch
+      }
+    );
+  } catch (error) {
+    // The approval can be used again once the error is fixed
+    if (approval) {
+      await approvalStore.release(approval.id);
+    }
+    throw error;
+  }
+
+  if (result.status === 'pending') {
+    await auditLog.record({
+      outcome: 'pending',
+      ...getAuditFields(req, decoded),
+      approval_id: result.approval_id,
+      permissions: result.permissions,
+      approval_permissions: result.approval_permissions
     });
+    return res.status(202).json(result);
+  }
 
-    logger.debug({ decoded }, 'Token verified successfully');
+  await auditLog.record({
+    outcome: 'issued',
+    ...getAuditFields(req, decoded),
+    app: result.app,
+    installation_id: result.installation_id,
+    repositories: result.repositories,
+    permissions: result.permissions,
+    expires_at: result.expires_at,
+    cached: result.cached,
+    token_hash: hashToken(result.token)
+  });
 
-    // Extract repository information from the token
-    const repo = decoded.repository;
-    const repoOwner = decoded.repository_owner;
+  logger.info('Token generated successfully');
+  return res.json(result);
+});
 
-    if (!repo || !repoOwner) {
-      return res.status(400).json({ 
-        error: 'Missing repository information in token'
-      });
-    }
+// Route to explain the decision on a token request, as sent to /generate-token,
+// without calling GitHub or issuing a token. Approval IDs are ignored.
+app.post('/explain', async (req, res) => {
+  const body = req.body ?? {};
+
+  // Limited like token requests, as explanations reveal the permissions config
+  const defaultLimits = await getRateLimits();
+  await rateLimiter.consume('ip', req.ip, defaultLimits.ip, defaultLimits.window);
+
+  const tokenPayload = extractAndDecodeToken(req.headers.authorization);
+
+  const {
+    requestedPermissions,
+    requestedRepositories,
+    scope,
+    requestedLifetime,
+    requestedApp
+  } = parseTokenRequest(body);
+
+  const decoded = await verifyTokenRequest(tokenPayload, res);
+
+  const repoOwner = decoded.repository_owner;
+  const repoName = decoded.repository.split('/').pop();
+  const targetRepositories = requestedRepositories
+    ? parseTargetRepositories(requestedRepositories, repoOwner)
+    : null;
+
+  const explanation = await explainPermissions(repoOwner, repoName, {
+    requestedPermissions,
+    targetRepositories,
+    scope,
+    claims: decoded,
+    selectApp: apps => selectGitHubApp(apps, requestedApp, issuerApiUrls.get(decoded.issuer))
+  });
+  const { grant, app: githubApp, error } = explanation;
+  const decision = getDecision(explanation);
+
+  logger.info({ repository: decoded.repository, scope, decision }, 'Token request explained');
+
+  return res.json({
+    decision,
+    ...(error ? { code: error.code, details: error.message } : {}),
+    repository: decoded.repository,
+    scope,
+    ...(scope === 'organization'
+      ? {}
+      : { repositories: (targetRepositories ?? [repoName]).map(name => `${repoOwner}/${name}`) }),
+    steps: explanation.steps,
+    effective_permissions: explanation.effectivePermissions,
+    requested_permissions: explanation.permissions,
+    ...(decision === 'denied'
+      ? {}
+      : {
+        permissions: grant.permissions,
+        app: githubApp.name,
+        lifetime: getTokenLifetime(requestedLifetime, grant),
+        // Tokens needing an approval are never cached
+        cache_token: grant.cacheToken && !grant.approval,
+        approval_permissions: grant.approval?.permissions ?? []
+      })
+  });
+});
 
-    try {
-      // Generate token with retry logic
-      const result = await pRetry(
-        () => generateToken(repoOwner, repo, requestedPermissions),
-        {
-          retries: 0,
-          onFailedAttempt: error => {
-            logger.error({ 
-              attempt: error.attemptNumber,
-              error: error.message 
-            }, 'Failed to generate token');
-          }
-        }
-      );
+// Route to revoke a GitHub App installation token before it expires
+app.post('/revoke-token', async (req, res) => {
+  const token = req.body?.token;
 
-      logger.info('Token generated successfully');
-      res.setHeader('Content-Type', 'application/json');
-      return res.json(result);
-    } catch (error) {
-      logger.error({ error: error.message }, 'Token generation failed');
-      res.setHeader('Content-Type', 'application/json');
-      return res.status(500).json({
-        error: 'Failed to generate token',
-        details: error.message
-      });
-    }
-  } catch (error) {
-    logger.error({ error: error.message }, 'Error processing request');
-    
-    res.setHeader('Content-Type', 'application/json');
-    
-    if (error.message.includes('Token verification failed')) {
-      return res.status(403).json({
-        error: 'Token verification failed',
-        details: error.message
-      });
+  if (typeof token !== 'string' || !/^\S+$/.test(token)) {
+    throw new InvalidRequestError('Token must be provided as a string in the request body');
+  }
+
+  // The app the token was issued with, if known, tells which GitHub API issued it
+  const tokenApp = req.body.app ?? null;
+
+  if (tokenApp !== null && (typeof tokenApp !== 'string' || !githubApps.has(tokenApp))) {
+    throw new InvalidRequestError(`Unknown GitHub App: ${tokenApp}`);
+  }
+
+  // Never hand out a token once its revocation was asked for
+  tokenCache.forget(token);
+
+  await revokeToken(token, tokenApp);
+
+  // Only once revoked, as a failed revocation leaves the token valid
+  revocationScheduler.cancel(token);
+
+  logger.info('Token revoked successfully');
+  return res.json({ status: 'revoked' });
+});
+
+// Query audit events, newest first. Restricted to admins.
+app.get('/audit', async (req, res) => {
+  requireAdmin(req, config.audit.adminToken);
+
+  const filters = {};
+  for (const key of AUDIT_FILTERS) {
+    if (typeof req.query[key] === 'string') {
+      filters[key] = req.query[key];
     }
-    
-    if (error.message.includes('Failed to generate token')) {
-      return res.status(500).json({
-        error: 'Failed to generate token',
-        details: error.message
-      });
+  }
+
+  if (req.query.since !== undefined) {
+    const since = new Date(req.query.since);
+    if (Number.isNaN(since.getTime())) {
+      throw new InvalidRequestError('since must be an ISO 8601 date');
     }
-    
-    return res.status(400).json({ 
-      error: 'Failed to process request',
-      details: error.message
-    });
+    filters.since = since.toISOString();
+  }
+
+  const limit = parseInt(req.query.limit ?? '100', 10);
+  if (!Number.isInteger(limit) || limit < 1 || limit > 1000) {
+    throw new InvalidRequestError('limit must be an integer between 1 and 1000');
   }
+  filters.limit = limit;
+
+  const events = await auditLog.query(filters);
+  return res.json({ events });
+});
+
+// List token requests needing an approval, newest first. Restricted to approvers.
+app.get('/approvals', async (req, res) => {
+  requireAdmin(req, config.approvals.adminToken);
+
+  const status = typeof req.query.status === 'string' ? req.query.status : undefined;
+  return res.json({ approvals: await approvalStore.list({ status }) });
+});
+
+app.get('/approvals/:id', async (req, res) => {
+  requireAdmin(req, config.approvals.adminToken);
+  return res.json(await approvalStore.get(req.params.id));
+});
+
+// Approve or reject a pending token request. Restricted to approvers, who may give
+// their name and a reason, recorded with the decision.
+async function decideApproval(req, res, status) {
+  requireAdmin(req, config.approvals.adminToken);
+
+  const { approver = null, reason = null } = req.body ?? {};
+  if ((approver !== null && typeof approver !== 'string') || (reason !== null && typeof reason !== 'string')) {
+    throw new InvalidRequestError('Approver and reason must be strings');
+  }
+
+  const approval = await approvalStore.decide(req.params.id, status, { approver, reason });
+
+  await auditLog.record({
+    outcome: status,
+    approval_id: approval.id,
+    approver,
+    reason,
+    issuer: approval.issuer,
+    repository: approval.repository,
+    run_id: approval.run_id,
+    actor: approval.actor,
+    workflow_ref: approval.workflow_ref,
+    app: approval.app,
+    permissions: approval.permissions,
+    client_ip: req.ip
+  });
+
+  logger.info({ approvalId: approval.id, status, approver }, 'Token request decided');
+  return res.json(approval);
+}
+
+app.post('/approvals/:id/approve', (req, res) => decideApproval(req, res, 'approved'));
+app.post('/approvals/:id/reject', (req, res) => decideApproval(req, res, 'rejected'));
+
+// Prometheus metrics endpoint
+app.get('/metrics', async (req, res) => {
+  res.setHeader('Content-Type', register.contentType);
+  res.send(await register.metrics());
 });
 
 // Health check endpoint
 app.get('/health', (req, res) => {
-  res.json({ status: 'ok' });
+  res.json({
+    status: 'ok',
+    permissions: getPermissionsConfigVersion(),
+    apps: Object.fromEntries([...githubApps.values()].map(githubApp => [githubApp.name, githubApp.getKeyStatus()]))
+  });
+});
+
+// Readiness endpoint: checks the app credentials, GitHub access and permissions config
+app.get('/ready', async (req, res) => {
+  const { ready, checks } = await checkReadiness();
+  res.setHeader('Content-Type', 'application/json');
+  return res.status(ready ? 200 : 503).json({
+    status: ready ? 'ready' : 'not_ready',
+    checks
+  });
+});
+
+// Error handling middleware - must be after all other middleware and routes
+app.use(async (err, req, res, next) => {
+  // Invalid JSON bodies are rejected by the body parser before reaching routes
+  const error = err.type === 'entity.parse.failed'
+    ? new InvalidRequestError('Request body must be valid JSON')
+    : toTokenBureauError(err);
+
+  if (req.path === '/generate-token') {
+    if (error.status < 500) {
+      tokenDenials.inc({ reason: error.code });
+    }
+
+    await auditLog.record({
+      outcome: 'denied',
+      code: error.code,
+      details: error.message,
+      ...getAuditFields(req, res.locals.claims)
+    });
+  }
+
+  const level = error.status >= 500 ? 'error' : 'warn';
+  logger[level]({
+    code: error.code,
+    error: error.message,
+    cause: error.cause?.message
+  }, 'Request failed');
+
+  // Ensure we always send JSON responses, even in error cases
+  res.setHeader('Content-Type', 'application/json');
+
+  if (error.retryAfter) {
+    res.setHeader('Retry-After', String(error.retryAfter));
+  }
+  
+  return res.status(error.status).json(error);
 });
 
-app.listen(port, () => {
+// Log the revocations lost when the server stops, then stop as the signal would
+for (const signal of ['SIGTERM', 'SIGINT']) {
+  process.once(signal, () => {
+    revocationScheduler.abandon();
+    process.kill(process.pid, signal);
+  });
+}
+
+app.listen(port, async () => {
   logger.info({ port }, '🦉 TokenBureau server running');
+
+  try {
+    await loadPermissionsConfig();
+    logger.info(getPermissionsConfigVersion(), 'Permissions config loaded');
+  } catch (error) {
+    logger.error({ error: error.message }, 'Error loading permissions config');
+  }
+
+  if (config.permissions.watch) {
+    watchPermissionsConfig(logger);
+  }
+
+  for (const githubApp of githubApps.values()) {
+    logger.info({
+      app: githubApp.name,
+      api_url: githubApp.baseUrl,
+      ...githubApp.getKeyStatus()
+    }, 'GitHub App private key loaded');
+    if (config.github.watchKeys) {
+      githubApp.watchKeyFiles();
+    }
+  }
 });
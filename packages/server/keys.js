@@ -0,0 +1,218 @@
+import crypto from 'crypto';
+import fs from 'fs';
+
+// Key providers give access to the private key of a GitHub App. Every provider can
+// sign() app JWTs with RS256. Providers holding the key in memory also expose it
+// with getPrivateKey(); the others sign remotely, so the key never leaves them.
+
+const PEM_PATTERN = /-----BEGIN ([A-Z ]*PRIVATE KEY)-----([\s\S]*?)-----END \1-----/;
+
+// Normalize a PEM private key, whatever the way line breaks were escaped, and check
+// it is an RSA key. PKCS#1 ("RSA PRIVATE KEY") and PKCS#8 ("PRIVATE KEY") keys are
+// both accepted; a bare base64 body is detected by parsing it as either.
+function parsePrivateKey(value, source) {
+  const key = value.trim().replace(/\\n/g, '\n');
+  let pem;
+
+  const match = key.match(PEM_PATTERN);
+  if (match) {
+    const [, label, body] = match;
+    const lines = body.replace(/\s/g, '').match(/.{1,64}/g) || [];
+    pem = [`-----BEGIN ${label}-----`, ...lines, `-----END ${label}-----`].join('\n');
+  } else {
+    const der = Buffer.from(key.replace(/\s/g, ''), 'base64');
+    pem = ['pkcs8', 'pkcs1']
+      .map(type => {
+        try {
+          return crypto.createPrivateKey({ key: der, format: 'der', type }).export({ format: 'pem', type }).toString();
+        } catch {
+          return null;
+        }
+      })
+      .find(Boolean);
+    if (!pem) {
+      throw new Error(`Invalid private key from ${source}: not a PEM or base64 DER private key`);
+    }
+  }
+
+  let keyObject;
+  try {
+    keyObject = crypto.createPrivateKey(pem);
+  } catch (error) {
+    throw new Error(`Invalid private key from ${source}: ${error.message}`);
+  }
+  if (keyObject.asymmetricKeyType !== 'rsa') {
+    throw new Error(`Invalid private key from ${source}: GitHub Apps require an RSA key, got ${keyObject.asymmetricKeyType}`);
+  }
+
+  return pem.trim();
+}
+
+// Provider for a key already in memory
+function createLocalKeyProvider(type, privateKey) {
+  return {
+    type,
+    async getPrivateKey() {
+      return privateKey;
+    },
+    async sign(data) {
+      return crypto.sign('sha256', data, privateKey);
+    },
+    async check() {
+      const key = crypto.createPrivateKey(privateKey);
+      return { type: key.asymmetricKeyType };
+    }
+  };
+}
+
+// Key read from an environment variable
+function createEnvKeyProvider({ privateKey, envVar }) {
+  return createLocalKeyProvider('env', parsePrivateKey(privateKey, envVar));
+}
+
+// Key read from a file, such as a mounted Kubernetes secret
+function createFileKeyProvider({ file }) {
+  return createLocalKeyProvider('file', parsePrivateKey(fs.readFileSync(file, 'utf8'), file));
+}
+
+// Key generated in memory for tests, never valid for GitHub. It signs like remote
+// providers do, so tests exercise that path, and exposes its public key to check JWTs.
+function createMockKeyProvider() {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  return {
+    type: 'mock',
+    publicKey: publicKey.export({ format: 'pem', type: 'spki' }),
+    async sign(data) {
+      return crypto.sign('sha256', data, privateKey);
+    },
+    async check() {
+      return { type: privateKey.asymmetricKeyType };
+    }
+  };
+}
+
+// Key kept in Vault's transit secrets engine, which signs app JWTs
+function createVaultKeyProvider({ vaultKey, vault }) {
+  if (!vault.addr || !vaultKey) {
+    throw new Error('VAULT_ADDR and the Vault transit key name must be set to use the vault key provider');
+  }
+
+  // Tokens from a file are read on every call, so renewed tokens are picked up
+  async function getVaultToken() {
+    if (vault.tokenFile) {
+      return (await fs.promises.readFile(vault.tokenFile, 'utf8')).trim();
+    }
+    if (!vault.token) {
+      throw new Error('VAULT_TOKEN or VAULT_TOKEN_FILE must be set to use the vault key provider');
+    }
+    return vault.token;
+  }
+
+  async function sign(data) {
+    const url = `${vault.addr.replace(/\/$/, '')}/v1/${vault.transitMount}/sign/${vaultKey}/sha2-256`;
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Vault-Token': await getVaultToken(),
+        ...(vault.namespace ? { 'X-Vault-Namespace': vault.namespace } : {})
+      },
+      body: JSON.stringify({
+        input: Buffer.from(data).toString('base64'),
+        signature_algorithm: 'pkcs1v15'
+      })
+    });
+    if (!response.ok) {
+      throw new Error(`Vault transit sign returned ${response.status}`);
+    }
+
+    // Signatures look like "vault:v1:<base64>"
+    const { data: { signature } } = await response.json();
+    return Buffer.from(signature.split(':').pop(), 'base64');
+  }
+
+  return {
+    type: 'vault',
+    sign,
+    // Signing is checked by the app JWT readiness check, which reuses its JWT for
+    // minutes, so readiness probes do not call the provider on every check
+    async check() {
+      return { key: vaultKey };
+    }
+  };
+}
+
+// Key kept in Google Cloud KMS, which signs app JWTs. Access tokens come from the
+// metadata server, as available on GKE with Workload Identity.
+function createGcpKmsKeyProvider({ kmsKey }) {
+  if (!kmsKey) {
+    throw new Error('The Cloud KMS key version must be set to use the gcp-kms key provider');
+  }
+
+  let accessToken = null;
+
+  async function getAccessToken() {
+    if (accessToken && accessToken.expiresAt > Date.now() + 60 * 1000) {
+      return accessToken.token;
+    }
+    const response = await fetch(
+      'http://metadata.google.internal/computeMetadata/v1/instance/service-accounts/default/token',
+      { headers: { 'Metadata-Flavor': 'Google' } }
+    );
+    if (!response.ok) {
+      throw new Error(`GCP metadata server returned ${response.status}`);
+    }
+    const { access_token: token, expires_in: expiresIn } = await response.json();
+    accessToken = { token, expiresAt: Date.now() + expiresIn * 1000 };
+    return token;
+  }
+
+  async function sign(data) {
+    const digest = crypto.createHash('sha256').update(data).digest('base64');
+    const response = await fetch(`https://cloudkms.googleapis.com/v1/${kmsKey}:asymmetricSign`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${await getAccessToken()}`
+      },
+      body: JSON.stringify({ digest: { sha256: digest } })
+    });
+    if (!response.ok) {
+      throw new Error(`Cloud KMS asymmetricSign returned ${response.status}`);
+    }
+    const { signature } = await response.json();
+    return Buffer.from(signature, 'base64');
+  }
+
+  return {
+    type: 'gcp-kms',
+    sign,
+    // Signing is checked by the app JWT readiness check, which reuses its JWT for
+    // minutes, so readiness probes do not call the provider on every check
+    async check() {
+      return { key: kmsKey };
+    }
+  };
+}
+
+const KEY_PROVIDER_FACTORIES = {
+  env: createEnvKeyProvider,
+  file: createFileKeyProvider,
+  vault: createVaultKeyProvider,
+  'gcp-kms': createGcpKmsKeyProvider,
+  mock: createMockKeyProvider
+};
+
+function createKeyProvider(options) {
+  const factory = KEY_PROVIDER_FACTORIES[options.type];
+  if (!factory) {
+    throw new Error(`Unknown private key provider: ${options.type}`);
+  }
+  return factory(options);
+}
+
+export {
+  KEY_PROVIDER_FACTORIES,
+  parsePrivateKey,
+  createKeyProvider
+};
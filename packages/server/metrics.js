@@ -0,0 +1,129 @@
+import client from 'prom-client';
+
+const register = new client.Registry();
+
+client.collectDefaultMetrics({ register, prefix: 'token_bureau_' });
+
+const httpRequestDuration = new client.Histogram({
+  name: 'token_bureau_http_request_duration_seconds',
+  help: 'Duration of HTTP requests handled by the server',
+  labelNames: ['method', 'route', 'status_code'],
+  registers: [register]
+});
+
+const tokensIssued = new client.Counter({
+  name: 'token_bureau_tokens_issued_total',
+  help: 'Installation tokens minted, not counting cached tokens returned again',
+  labelNames: ['owner', 'repository', 'scope', 'app', 'permissions'],
+  registers: [register]
+});
+
+const tokenDenials = new client.Counter({
+  name: 'token_bureau_token_denials_total',
+  help: 'Token requests rejected, by error code',
+  labelNames: ['reason'],
+  registers: [register]
+});
+
+const rateLimitedRequests = new client.Counter({
+  name: 'token_bureau_rate_limited_requests_total',
+  help: 'Token requests rejected by a rate limit, by limit scope',
+  labelNames: ['scope'],
+  registers: [register]
+});
+
+const approvalRequests = new client.Counter({
+  name: 'token_bureau_approvals_total',
+  help: 'Token requests needing an approval, by status change',
+  labelNames: ['status'],
+  registers: [register]
+});
+
+const oidcVerificationFailures = new client.Counter({
+  name: 'token_bureau_oidc_verification_failures_total',
+  help: 'OIDC tokens that failed verification',
+  labelNames: ['reason'],
+  registers: [register]
+});
+
+const jwksFetchDuration = new client.Histogram({
+  name: 'token_bureau_jwks_fetch_duration_seconds',
+  help: 'Duration of JWKS fetches from OIDC issuers',
+  labelNames: ['issuer', 'status'],
+  registers: [register]
+});
+
+const githubRequestDuration = new client.Histogram({
+  name: 'token_bureau_github_request_duration_seconds',
+  help: 'Duration of GitHub API requests',
+  labelNames: ['method', 'route', 'status_code'],
+  registers: [register]
+});
+
+const installationCacheRequests = new client.Counter({
+  name: 'token_bureau_installation_cache_requests_total',
+  help: 'Installation ID lookups, by app and cache result',
+  labelNames: ['app', 'result'],
+  registers: [register]
+});
+
+const scheduledRevocations = new client.Counter({
+  name: 'token_bureau_scheduled_revocations_total',
+  help: 'Tokens revoked by the server at the end of their lifetime, by result',
+  labelNames: ['result'],
+  registers: [register]
+});
+
+const pendingRevocations = new client.Gauge({
+  name: 'token_bureau_pending_revocations',
+  help: 'Tokens waiting to be revoked by the server at the end of their lifetime',
+  registers: [register]
+});
+
+const tokenCacheRequests = new client.Counter({
+  name: 'token_bureau_token_cache_requests_total',
+  help: 'Lookups of cached installation tokens, by app and cache result',
+  labelNames: ['app', 'result'],
+  registers: [register]
+});
+
+// Stable label for a permission set, e.g. "contents:write,metadata:read"
+function formatPermissionsLabel(permissions) {
+  return Object.entries(permissions)
+    .map(([perm, level]) => `${perm}:${level}`)
+    .sort()
+    .join(',');
+}
+
+// Wrap an Octokit request hook to time each GitHub API call by route template
+function instrumentGitHubHook(hook) {
+  return async (request, options) => {
+    const end = githubRequestDuration.startTimer({ method: options.method, route: options.url });
+    try {
+      const response = await hook(request, options);
+      end({ status_code: response.status });
+      return response;
+    } catch (error) {
+      end({ status_code: error.status ?? 'error' });
+      throw error;
+    }
+  };
+}
+
+export {
+  register,
+  httpRequestDuration,
+  tokensIssued,
+  tokenDenials,
+  rateLimitedRequests,
+  approvalRequests,
+  oidcVerificationFailures,
+  jwksFetchDuration,
+  githubRequestDuration,
+  installationCacheRequests,
+  tokenCacheRequests,
+  scheduledRevocations,
+  pendingRevocations,
+  formatPermissionsLabel,
+  instrumentGitHubHook
+};
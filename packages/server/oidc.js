@@ -0,0 +1,186 @@
+import jwt from 'jsonwebtoken';
+import jwksClient from 'jwks-rsa';
+import { OidcInvalidError } from './errors.js';
+import { jwksFetchDuration, oidcVerificationFailures } from './metrics.js';
+
+// Claims used for policies, auditing and token generation. Each issuer maps them
+// from its own claims; by default each one is read from the claim of the same
+// name, as issued by GitHub Actions.
+const IDENTITY_CLAIMS = [
+  'sub',
+  'repository',
+  'repository_owner',
+  'ref',
+  'ref_type',
+  'environment',
+  'workflow_ref',
+  'job_workflow_ref',
+  'event_name',
+  'actor',
+  'run_id',
+  'run_attempt'
+];
+
+// Read a claim by dotted path. Keys may contain dots themselves, as in
+// Kubernetes' "kubernetes.io" claim, so the longest matching key wins.
+function getClaim(claims, claimPath) {
+  if (claims === null || typeof claims !== 'object') {
+    return undefined;
+  }
+  if (claimPath in claims) {
+    return claims[claimPath];
+  }
+
+  const key = Object.keys(claims)
+    .filter(key => claimPath.startsWith(`${key}.`))
+    .sort((a, b) => b.length - a.length)[0];
+
+  return key === undefined ? undefined : getClaim(claims[key], claimPath.slice(key.length + 1));
+}
+
+// Render a mapping template such as "{namespace_path}/{project_name}".
+// Returns undefined if a referenced claim is missing.
+function renderClaimTemplate(template, claims) {
+  let missing = false;
+  const value = template.replace(/\{([^}]+)\}/g, (_, claimPath) => {
+    const claim = getClaim(claims, claimPath.trim());
+    if (claim === undefined || claim === null || typeof claim === 'object') {
+      missing = true;
+      return '';
+    }
+    return String(claim);
+  });
+  return missing || value === '' ? undefined : value;
+}
+
+function mapClaims(claims, claimMapping) {
+  const mapped = {};
+  for (const name of IDENTITY_CLAIMS) {
+    const value = renderClaimTemplate(claimMapping[name] ?? `{${name}}`, claims);
+    if (value !== undefined) {
+      mapped[name] = value;
+    }
+  }
+  return mapped;
+}
+
+// Verify OIDC tokens from a list of trusted issuers, each with its own JWKS,
+// audiences and claim mapping
+function createOidcVerifier(issuers, logger) {
+  for (const { name, claimMapping } of issuers) {
+    for (const [claim, template] of Object.entries(claimMapping)) {
+      if (!IDENTITY_CLAIMS.includes(claim)) {
+        throw new Error(`Invalid claim '${claim}' in claim mapping of OIDC issuer: ${name}`);
+      }
+      if (typeof template !== 'string') {
+        throw new Error(`Claim mapping for '${claim}' must be a string in OIDC issuer: ${name}`);
+      }
+    }
+  }
+
+  // Outcome of the latest JWKS fetches per issuer, reported by GET /ready
+  const jwksStatus = Object.fromEntries(
+    issuers.map(({ name }) => [name, { lastSuccess: null, lastError: null }])
+  );
+
+  // Fetch the JWKS, timing each fetch (cached keys are not fetched again)
+  async function fetchJwks(name, jwksUri) {
+    const endTimer = jwksFetchDuration.startTimer({ issuer: name });
+    try {
+      const response = await fetch(jwksUri);
+      if (!response.ok) {
+        throw new Error(`JWKS endpoint returned ${response.status}`);
+      }
+      const jwks = await response.json();
+      endTimer({ status: 'success' });
+      jwksStatus[name].lastSuccess = new Date().toISOString();
+      return jwks;
+    } catch (error) {
+      endTimer({ status: 'error' });
+      jwksStatus[name].lastError = { at: new Date().toISOString(), error: error.message };
+      throw error;
+    }
+  }
+
+  const trustedIssuers = new Map(issuers.map(issuer => [issuer.issuer, {
+    ...issuer,
+    client: jwksClient({
+      jwksUri: issuer.jwksUri,
+      cache: true,
+      rateLimit: true,
+      fetcher: jwksUri => fetchJwks(issuer.name, jwksUri)
+    })
+  }]));
+
+  // Function to get signing key from the issuer's JWKS
+  function getKey(client) {
+    return (header, callback) => {
+      logger.debug({ kid: header.kid }, 'Getting signing key');
+
+      client.getSigningKey(header.kid, (err, key) => {
+        if (err) {
+          logger.error({ err }, 'Error getting signing key');
+          return callback(err);
+        }
+        try {
+          const signingKey = key.getPublicKey();
+          callback(null, signingKey);
+        } catch (error) {
+          logger.error({ error }, 'Error getting public key');
+          callback(error);
+        }
+      });
+    };
+  }
+
+  // Verify a token and return its mapped identity claims, with the issuer name
+  // and the accepted audience
+  async function verify(tokenPayload) {
+    // The issuer is read before verification only to pick the keys to verify with
+    const unverified = jwt.decode(tokenPayload);
+    if (!unverified) {
+      oidcVerificationFailures.inc({ reason: 'MalformedToken' });
+      throw new OidcInvalidError('Token verification failed: malformed token');
+    }
+
+    const unverifiedIssuer = unverified.iss;
+    const trustedIssuer = trustedIssuers.get(unverifiedIssuer);
+
+    if (!trustedIssuer) {
+      oidcVerificationFailures.inc({ reason: 'UntrustedIssuer' });
+      throw new OidcInvalidError(`Token verification failed: untrusted issuer ${unverifiedIssuer}`);
+    }
+
+    const decoded = await new Promise((resolve, reject) => {
+      jwt.verify(tokenPayload, getKey(trustedIssuer.client), {
+        issuer: trustedIssuer.issuer,
+        audience: trustedIssuer.audiences,
+        algorithms: trustedIssuer.algorithms,
+        clockTolerance: 60 // Allow 1 minute clock skew
+      }, (err, decoded) => {
+        if (err) {
+          oidcVerificationFailures.inc({ reason: err.name });
+          logger.error({ error: err, issuer: trustedIssuer.name }, 'JWT verification failed');
+          reject(new OidcInvalidError(`Token verification failed: ${err.message}`, { cause: err }));
+        } else {
+          resolve(decoded);
+        }
+      });
+    });
+
+    logger.debug({ decoded, issuer: trustedIssuer.name }, 'Token verified successfully');
+
+    // The token may carry several audiences: keep the one it was accepted for
+    const audience = [].concat(decoded.aud).find(aud => trustedIssuer.audiences.includes(aud));
+
+    return {
+      issuer: trustedIssuer.name,
+      audience,
+      ...mapClaims(decoded, trustedIssuer.claimMapping)
+    };
+  }
+
+  return { verify, jwksStatus };
+}
+
+export { IDENTITY_CLAIMS, createOidcVerifier };
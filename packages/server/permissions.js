@@ -1,127 +1,787 @@
+import crypto from 'crypto';
 import fs from 'fs';
 import path from 'path';
 import yaml from 'js-yaml';
+import { minimatch } from 'minimatch';
 import { fileURLToPath } from 'url';
+import {
+  ConfigInvalidError,
+  InvalidPermissionError,
+  InvalidRequestError,
+  PermissionDeniedError,
+  RepoNotEnrolledError,
+  TokenBureauError
+} from './errors.js';
+import { watchDirectory } from './watch.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
-// Cache for the parsed permissions config
-let configCache = null;
-
-const VALID_ACCESS_LEVELS = ['read', 'write', 'none'];
-const VALID_PERMISSIONS = [
-  'contents',
-  'metadata',
-  'issues',
-  'pull_requests',
-  'deployments',
-  'packages',
-  'actions',
-  'security_events',
-  'statuses',
-  'checks',
-  'discussions',
-  'pages',
-  'workflows'
+// Path of the permissions file, or of a directory of policy files
+let configPath = path.join(__dirname, 'config', 'permissions.yml');
+
+// Active permissions config with its version, swapped as a whole on reload
+let configState = null;
+
+const VALID_ACCESS_LEVELS = ['read', 'write', 'admin', 'none'];
+const ACCESS_LEVEL_RANK = { none: 0, read: 1, write: 2, admin: 3 };
+
+// Repository permissions of GitHub Apps, with the access levels each one accepts
+const REPOSITORY_PERMISSIONS = {
+  actions: ['read', 'write'],
+  administration: ['read', 'write'],
+  checks: ['read', 'write'],
+  codespaces: ['read', 'write'],
+  contents: ['read', 'write'],
+  dependabot_secrets: ['read', 'write'],
+  deployments: ['read', 'write'],
+  discussions: ['read', 'write'],
+  environments: ['read', 'write'],
+  issues: ['read', 'write'],
+  merge_queues: ['read', 'write'],
+  metadata: ['read', 'write'],
+  packages: ['read', 'write'],
+  pages: ['read', 'write'],
+  pull_requests: ['read', 'write'],
+  repository_custom_properties: ['read', 'write'],
+  repository_hooks: ['read', 'write'],
+  repository_projects: ['read', 'write', 'admin'],
+  secret_scanning_alerts: ['read', 'write'],
+  secrets: ['read', 'write'],
+  security_events: ['read', 'write'],
+  single_file: ['read', 'write'],
+  statuses: ['read', 'write'],
+  variables: ['read', 'write'],
+  vulnerability_alerts: ['read', 'write'],
+  workflows: ['write']
+};
+
+// Organization permissions of GitHub Apps, with the access levels each one accepts
+const ORGANIZATION_PERMISSIONS = {
+  members: ['read', 'write'],
+  organization_administration: ['read', 'write'],
+  organization_announcement_banners: ['read', 'write'],
+  organization_copilot_seat_management: ['write'],
+  organization_custom_org_roles: ['read', 'write'],
+  organization_custom_properties: ['read', 'write', 'admin'],
+  organization_custom_roles: ['read', 'write'],
+  organization_events: ['read'],
+  organization_hooks: ['read', 'write'],
+  organization_packages: ['read', 'write'],
+  organization_personal_access_token_requests: ['read', 'write'],
+  organization_personal_access_tokens: ['read', 'write'],
+  organization_plan: ['read'],
+  organization_projects: ['read', 'write', 'admin'],
+  organization_secrets: ['read', 'write'],
+  organization_self_hosted_runners: ['read', 'write'],
+  organization_user_blocking: ['read', 'write'],
+  team_discussions: ['read', 'write']
+};
+
+const PERMISSION_LEVELS = { ...REPOSITORY_PERMISSIONS, ...ORGANIZATION_PERMISSIONS };
+const VALID_PERMISSIONS = Object.keys(PERMISSION_LEVELS);
+
+// Token requests allowed per window, unless the rate_limits section overrides them.
+// Requests are counted per client IP, per OIDC repository and per repository owner.
+// The limit by IP is disabled (0) unless configured, as it depends on the deployment:
+// behind a proxy not trusted for X-Forwarded-For, every request shares the proxy's IP.
+// Repositories and owners come from verified OIDC claims, and are always limited.
+const DEFAULT_RATE_LIMITS = {
+  window: 60,
+  ip: 0,
+  repository: 60,
+  owner: 600
+};
+
+// Limits that can be overridden for a repository or an owner
+const RATE_LIMIT_SCOPES = ['repository', 'owner'];
+
+// Token lifetimes callers and policies may ask for, in seconds. Installation tokens
+// are valid for one hour: shorter lifetimes are enforced by revoking them.
+const MIN_TOKEN_LIFETIME = 60;
+const MAX_TOKEN_LIFETIME = 3600;
+
+// Settings of an entry, at least one of which must be defined
+const ENTRY_SETTINGS = ['permissions', 'rules', 'app', 'cache_token', 'max_lifetime', 'requires_approval'];
+
+// Verified OIDC claims that policy rules can match on
+const RULE_CLAIMS = [
+  'issuer',
+  'audience',
+  'ref',
+  'ref_type',
+  'environment',
+  'workflow_ref',
+  'job_workflow_ref',
+  'event_name',
+  'actor'
 ];
 
+// Check a permission name and access level against the catalogue.
+// 'none' is accepted for every permission to explicitly disable it.
+function checkPermissionLevel(perm, level) {
+  if (!VALID_PERMISSIONS.includes(perm)) {
+    throw new InvalidPermissionError(`Invalid permission: ${perm}`);
+  }
+  if (!VALID_ACCESS_LEVELS.includes(level)) {
+    throw new InvalidPermissionError(`Invalid access level '${level}' for permission '${perm}'`);
+  }
+  if (level !== 'none' && !PERMISSION_LEVELS[perm].includes(level)) {
+    throw new InvalidPermissionError(
+      `Access level '${level}' is not supported for permission '${perm}' (supported: ${PERMISSION_LEVELS[perm].join(', ')})`
+    );
+  }
+}
+
 async function validatePermissions(permissions) {
   for (const [perm, level] of Object.entries(permissions)) {
+    checkPermissionLevel(perm, level);
+  }
+}
+
+async function validateRules(rules, context) {
+  if (!Array.isArray(rules)) {
+    throw new Error(`Rules must be a list for: ${context}`);
+  }
+
+  for (const [index, rule] of rules.entries()) {
+    if (!rule?.when || typeof rule.when !== 'object' || Object.keys(rule.when).length === 0) {
+      throw new Error(`Rule ${index} for ${context} must define at least one claim in 'when'`);
+    }
+
+    for (const [claim, pattern] of Object.entries(rule.when)) {
+      if (!RULE_CLAIMS.includes(claim)) {
+        throw new Error(`Invalid claim '${claim}' in rule ${index} for ${context}`);
+      }
+
+      const patterns = Array.isArray(pattern) ? pattern : [pattern];
+      if (patterns.length === 0 || patterns.some(p => typeof p !== 'string' || p === '')) {
+        throw new Error(`Invalid pattern for claim '${claim}' in rule ${index} for ${context}`);
+      }
+    }
+
+    if (!rule.permissions) {
+      throw new Error(`Permissions must be defined for rule ${index} for ${context}`);
+    }
+    await validatePermissions(rule.permissions);
+    validateApp(rule, `rule ${index} for ${context}`);
+    validateCacheToken(rule, `rule ${index} for ${context}`);
+    validateMaxLifetime(rule, `rule ${index} for ${context}`);
+    validateRequiresApproval(rule, `rule ${index} for ${context}`);
+  }
+}
+
+// Entries may be restricted to the OIDC audiences listed in 'audiences', and opened
+// to the trusted issuers listed in 'issuers'
+function validateEntryScope(entry, context) {
+  for (const [setting, label] of [['audiences', 'Audiences'], ['issuers', 'Issuers']]) {
+    const values = entry[setting];
+    if (values === undefined) {
+      continue;
+    }
+    if (!Array.isArray(values) || values.length === 0 || values.some(v => typeof v !== 'string' || v === '')) {
+      throw new Error(`${label} must be a non-empty list of strings for: ${context}`);
+    }
+  }
+}
+
+// Entries and rules may pick the GitHub App tokens are issued with: a name, or a
+// list of names where the first one is used unless the request picks another
+function validateApp(entry, context) {
+  if (entry.app === undefined) {
+    return;
+  }
+  const apps = Array.isArray(entry.app) ? entry.app : [entry.app];
+  if (apps.length === 0 || apps.some(app => typeof app !== 'string' || app === '')) {
+    throw new Error(`App must be a name or a non-empty list of names for: ${context}`);
+  }
+}
+
+// Entries and rules may let identical token requests of a workflow run share a token
+function validateCacheToken(entry, context) {
+  if (entry.cache_token !== undefined && typeof entry.cache_token !== 'boolean') {
+    throw new Error(`cache_token must be true or false for: ${context}`);
+  }
+}
+
+// Entries and rules may cap the lifetime of tokens, in seconds
+function validateMaxLifetime(entry, context) {
+  if (entry.max_lifetime === undefined) {
+    return;
+  }
+  const lifetime = entry.max_lifetime;
+  if (!Number.isInteger(lifetime) || lifetime < MIN_TOKEN_LIFETIME || lifetime > MAX_TOKEN_LIFETIME) {
+    throw new Error(
+      `max_lifetime must be a number of seconds between ${MIN_TOKEN_LIFETIME} and ${MAX_TOKEN_LIFETIME} for: ${context}`
+    );
+  }
+}
+
+// Entries and rules may require an approval before a token is issued: for any token
+// (true), or for tokens with one of the listed permissions
+function validateRequiresApproval(entry, context) {
+  const value = entry.requires_approval;
+  if (value === undefined || typeof value === 'boolean') {
+    return;
+  }
+  if (!Array.isArray(value) || value.length === 0) {
+    throw new Error(`requires_approval must be true, false or a list of permissions for: ${context}`);
+  }
+  for (const perm of value) {
     if (!VALID_PERMISSIONS.includes(perm)) {
-      throw new Error(`Invalid permission: ${perm}`);
+      throw new Error(`Invalid permission '${perm}' in requires_approval for: ${context}`);
     }
-    if (!VALID_ACCESS_LEVELS.includes(level)) {
-      throw new Error(`Invalid access level '${level}' for permission '${perm}'`);
+  }
+}
+
+// Validate an entry made of permissions, claim-based rules and/or other settings
+async function validateEntry(entry, context) {
+  if (!ENTRY_SETTINGS.some(setting => entry?.[setting] !== undefined)) {
+    throw new Error(`One of ${ENTRY_SETTINGS.join(', ')} must be defined for ${context}`);
+  }
+  validateEntryScope(entry, context);
+  validateApp(entry, context);
+  validateCacheToken(entry, context);
+  validateMaxLifetime(entry, context);
+  validateRequiresApproval(entry, context);
+  if (entry.permissions) {
+    await validatePermissions(entry.permissions);
+  }
+  if (entry.rules) {
+    await validateRules(entry.rules, context);
+  }
+}
+
+// A rule matches when every claim in 'when' matches one of its glob patterns
+function matchesRule(rule, claims) {
+  return Object.entries(rule.when).every(([claim, pattern]) => {
+    const value = claims?.[claim];
+    if (typeof value !== 'string') {
+      return false;
     }
+    const patterns = Array.isArray(pattern) ? pattern : [pattern];
+    return patterns.some(p => minimatch(value, p, { dot: true }));
+  });
+}
+
+// Name of the trusted issuer whose tokens entries apply to unless they list others
+let defaultIssuer = 'github-actions';
+
+function setDefaultIssuer(name) {
+  defaultIssuer = name;
+}
+
+// Entries only apply to tokens of the default issuer, unless they list the issuers
+// they apply to: other issuers map their own claims to repositories, which must not
+// inherit the permissions of the default issuer's repositories of the same name.
+// An entry restricted to some audiences is ignored for tokens of any other audience.
+// Entries skipped or applied are recorded in trace, when given, with their source:
+// the section and key of the entry in the config.
+function scopeEntry(entry, claims, trace = null, source = null) {
+  if (!entry) {
+    return undefined;
+  }
+  const issuers = entry.issuers ?? [defaultIssuer];
+  if (!issuers.includes(claims?.issuer ?? defaultIssuer)) {
+    trace?.push({
+      ...source,
+      applied: false,
+      reason: `Entry only applies to tokens of issuers: ${issuers.join(', ')}`
+    });
+    return undefined;
   }
+  if (entry.audiences && !entry.audiences.includes(claims?.audience)) {
+    trace?.push({
+      ...source,
+      applied: false,
+      reason: `Entry only applies to tokens for audiences: ${entry.audiences.join(', ')}`
+    });
+    return undefined;
+  }
+  return entry;
 }
 
-async function loadPermissionsConfig() {
-  // Return cached config if available
-  if (configCache) {
-    return configCache;
+// Apply an entry's settings, then those of the first of its rules matching the claims.
+// Resolved grants are { permissions, apps, cacheToken, maxLifetime, requiresApproval },
+// where apps is null for the default app, cacheToken allows reusing the token within a
+// workflow run, maxLifetime is null when the lifetime is not capped and
+// requiresApproval is a boolean or a list of permissions.
+function applyEntry(resolved, entry, claims, trace = null, source = null) {
+  let permissions = { ...resolved.permissions, ...entry.permissions };
+  let app = entry.app ?? null;
+  let cacheToken = entry.cache_token ?? resolved.cacheToken;
+  let maxLifetime = entry.max_lifetime ?? resolved.maxLifetime;
+  let requiresApproval = entry.requires_approval ?? resolved.requiresApproval;
+
+  const ruleIndex = entry.rules?.findIndex(rule => matchesRule(rule, claims)) ?? -1;
+  const rule = entry.rules?.[ruleIndex];
+  if (rule) {
+    permissions = { ...permissions, ...rule.permissions };
+    app = rule.app ?? app;
+    cacheToken = rule.cache_token ?? cacheToken;
+    maxLifetime = rule.max_lifetime ?? maxLifetime;
+    requiresApproval = rule.requires_approval ?? requiresApproval;
+  }
+
+  trace?.push({
+    ...source,
+    applied: true,
+    rule: rule ? { index: ruleIndex, when: rule.when } : null,
+    permissions: { ...entry.permissions, ...rule?.permissions },
+    effective_permissions: permissions
+  });
+
+  return {
+    permissions,
+    apps: app === null ? resolved.apps : [].concat(app),
+    cacheToken,
+    maxLifetime,
+    requiresApproval
+  };
+}
+
+const EMPTY_GRANT = {
+  permissions: {},
+  apps: null,
+  cacheToken: false,
+  maxLifetime: null,
+  requiresApproval: false
+};
+
+// Limits are non-negative integers, 0 disabling the limit
+function validateRateLimits(limits, keys, context) {
+  if (!limits || typeof limits !== 'object') {
+    throw new Error(`Rate limits must be a mapping for: ${context}`);
+  }
+  for (const [key, value] of Object.entries(limits)) {
+    if (!keys.includes(key)) {
+      throw new Error(`Invalid rate limit '${key}' for: ${context}`);
+    }
+    if (!Number.isInteger(value) || value < 0) {
+      throw new Error(`Rate limit '${key}' must be a non-negative integer for: ${context}`);
+    }
+  }
+}
+
+// Read the files making up the config: a single file, or every
+// .yml/.yaml file of a directory in name order
+async function readConfigFiles() {
+  const stats = await fs.promises.stat(configPath);
+  if (!stats.isDirectory()) {
+    return [{
+      name: path.basename(configPath),
+      contents: await fs.promises.readFile(configPath, 'utf8')
+    }];
+  }
+
+  // Skip hidden entries such as the ..data symlink of ConfigMap volumes
+  const names = (await fs.promises.readdir(configPath))
+    .filter(name => !name.startsWith('.') && /\.ya?ml$/.test(name))
+    .sort();
+
+  if (names.length === 0) {
+    throw new Error(`No YAML files found in directory: ${configPath}`);
+  }
+
+  return Promise.all(names.map(async name => ({
+    name,
+    contents: await fs.promises.readFile(path.join(configPath, name), 'utf8')
+  })));
+}
+
+// Merge the per-file configs. Each repository entry, cross-repository grant
+// and other top-level section can only be defined in one file.
+function mergeConfigs(files) {
+  const merged = {};
+  const origins = {};
+
+  const define = (key, name) => {
+    if (origins[key]) {
+      throw new Error(`Conflicting definitions of ${key} in ${origins[key]} and ${name}`);
+    }
+    origins[key] = name;
+  };
+
+  for (const { name, contents } of files) {
+    let config;
+    try {
+      config = yaml.load(contents);
+    } catch (error) {
+      throw new Error(`${name}: ${error.message}`);
+    }
+
+    if (!config || typeof config !== 'object') {
+      throw new Error(`Configuration must be a YAML mapping: ${name}`);
+    }
+
+    for (const [section, value] of Object.entries(config)) {
+      if (section === 'repositories' || section === 'organization_tokens') {
+        merged[section] ??= {};
+        for (const [repo, entry] of Object.entries(value ?? {})) {
+          define(`${section}.${repo}`, name);
+          merged[section][repo] = entry;
+        }
+      } else if (section === 'cross_repository') {
+        merged.cross_repository ??= {};
+        for (const [source, targets] of Object.entries(value ?? {})) {
+          merged.cross_repository[source] ??= {};
+          for (const [target, grant] of Object.entries(targets ?? {})) {
+            define(`cross_repository.${source} -> ${target}`, name);
+            merged.cross_repository[source][target] = grant;
+          }
+        }
+      } else {
+        define(section, name);
+        merged[section] = value;
+      }
+    }
   }
 
-  const configPath = path.join(__dirname, 'config', 'permissions.yml');
-  
+  return merged;
+}
+
+// Read and validate the permissions config, versioned by a hash of its contents
+async function readPermissionsConfig() {
   try {
-    const fileContents = await fs.promises.readFile(configPath, 'utf8');
-    const config = yaml.load(fileContents);
+    const files = await readConfigFiles();
+    const config = mergeConfigs(files);
 
-    // Validate default permissions
-    if (!config.default?.permissions) {
-      throw new Error('Default permissions must be defined');
+    // Validate default permissions. Omitting the default block, or setting it
+    // to 'deny', only allows repositories explicitly listed below.
+    if (config.default === undefined || config.default === null || config.default === 'deny') {
+      config.default = 'deny';
+    } else {
+      if (!config.default.permissions) {
+        throw new Error("Default permissions must be defined, or default must be set to 'deny'");
+      }
+      await validatePermissions(config.default.permissions);
+      validateEntryScope(config.default, 'default');
+      validateApp(config.default, 'default');
+      validateCacheToken(config.default, 'default');
+      validateMaxLifetime(config.default, 'default');
+      validateRequiresApproval(config.default, 'default');
+      if (config.default.rules) {
+        await validateRules(config.default.rules, 'default');
+      }
     }
-    await validatePermissions(config.default.permissions);
 
-    // Validate repository-specific permissions
+    // Validate repository-specific permissions and rules
     if (config.repositories) {
       for (const [repo, repoConfig] of Object.entries(config.repositories)) {
-        if (!repoConfig.permissions) {
-          throw new Error(`Permissions must be defined for repository: ${repo}`);
+        await validateEntry(repoConfig, `repository: ${repo}`);
+      }
+    }
+
+    // Validate cross-repository grants
+    if (config.cross_repository) {
+      for (const [source, targets] of Object.entries(config.cross_repository)) {
+        if (!/^[^/]+\/[^/]+$/.test(source)) {
+          throw new Error(`Invalid cross-repository source: ${source}`);
+        }
+        if (!targets || typeof targets !== 'object' || Object.keys(targets).length === 0) {
+          throw new Error(`Target repositories must be defined for cross-repository source: ${source}`);
+        }
+        for (const [target, grant] of Object.entries(targets)) {
+          const [sourceOwner] = source.split('/');
+          const [targetOwner, targetRepo] = target.split('/');
+          if (!targetRepo || targetRepo === '*' || targetOwner !== sourceOwner) {
+            throw new Error(
+              `Invalid cross-repository target '${target}' for ${source}: must be a repository of ${sourceOwner}`
+            );
+          }
+          await validateEntry(grant, `cross-repository target: ${source} -> ${target}`);
+        }
+      }
+    }
+
+    // Validate organization token grants
+    if (config.organization_tokens) {
+      for (const [repo, grant] of Object.entries(config.organization_tokens)) {
+        if (!/^[^/]+\/[^/]+$/.test(repo)) {
+          throw new Error(`Invalid organization token grantee: ${repo}`);
         }
-        await validatePermissions(repoConfig.permissions);
+        await validateEntry(grant, `organization token grantee: ${repo}`);
       }
     }
 
-    // Cache the validated config
-    configCache = config;
-    return config;
+    // Validate permissions that need an approval for every token
+    if (config.requires_approval !== undefined) {
+      if (!Array.isArray(config.requires_approval)) {
+        throw new Error('Top-level requires_approval must be a list of permissions');
+      }
+      validateRequiresApproval(config, 'requires_approval');
+    }
+
+    // Validate rate limits and their per-repository and per-owner overrides
+    if (config.rate_limits) {
+      const { repositories: overrides = {}, ...limits } = config.rate_limits;
+      validateRateLimits(limits, Object.keys(DEFAULT_RATE_LIMITS), 'rate_limits');
+      if (limits.window === 0) {
+        throw new Error('Rate limit window must be at least 1 second');
+      }
+      for (const [repo, override] of Object.entries(overrides)) {
+        if (!/^[^/]+\/[^/]+$/.test(repo)) {
+          throw new Error(`Invalid rate limit override: ${repo}`);
+        }
+        validateRateLimits(override, RATE_LIMIT_SCOPES, `rate limit override: ${repo}`);
+      }
+    }
+
+    return {
+      config,
+      version: hashConfigFiles(files),
+      loadedAt: new Date().toISOString()
+    };
   } catch (error) {
-    throw new Error(`Failed to load permissions config: ${error.message}`);
+    throw new ConfigInvalidError(`Failed to load permissions config: ${error.message}`, { cause: error });
   }
 }
 
-async function getEffectivePermissions(owner, repo, requestedPermissions = null) {
-  const config = await loadPermissionsConfig();
-  const defaultPerms = config.default.permissions;
+function hashConfigFiles(files) {
+  const hash = crypto.createHash('sha256');
+  for (const { name, contents } of files) {
+    hash.update(`${name}\0${contents}\0`);
+  }
+  return hash.digest('hex').substring(0, 12);
+}
+
+// Point the loader at another permissions file or directory
+function setPermissionsConfigPath(newPath) {
+  configPath = path.resolve(newPath);
+  configState = null;
+}
+
+async function loadPermissionsConfig() {
+  // Return cached config if available
+  if (configState) {
+    return configState.config;
+  }
+
+  configState = await readPermissionsConfig();
+  return configState.config;
+}
+
+// Re-read the config and swap it in only if it is valid and has changed.
+// On failure the error is thrown and the last good config stays active.
+async function reloadPermissionsConfig() {
+  const nextState = await readPermissionsConfig();
+
+  if (nextState.version === configState?.version) {
+    return false;
+  }
+
+  configState = nextState;
+  return true;
+}
+
+function getPermissionsConfigVersion() {
+  if (!configState) {
+    return null;
+  }
+  return { version: configState.version, loadedAt: configState.loadedAt, path: configPath };
+}
+
+// Reload the config when its directory changes, keeping the last good version if the
+// new one is invalid
+function watchPermissionsConfig(logger) {
+  let watchPath;
+  try {
+    watchPath = fs.statSync(configPath).isDirectory() ? configPath : path.dirname(configPath);
+  } catch (error) {
+    logger.error({ error: error.message }, 'Cannot watch permissions config');
+    return null;
+  }
+
+  const reload = async () => {
+    try {
+      if (await reloadPermissionsConfig()) {
+        logger.info(getPermissionsConfigVersion(), 'Permissions config reloaded');
+      }
+    } catch (error) {
+      logger.error({
+        error: error.message,
+        activeVersion: configState?.version
+      }, 'Invalid permissions config, keeping last good version');
+    }
+  };
+
+  return watchDirectory(watchPath, reload, error => {
+    logger.error({ error: error.message }, 'Permissions config watcher failed');
+  });
+}
+
+// Resolve the permissions allowed for a repository requesting a token for itself
+function resolvePermissions(config, owner, repo, claims, trace = null) {
   const repoPath = `${owner}/${repo}`;
-  const orgWildcard = `${owner}/*`;
+  const orgSource = { section: 'repositories', entry: `${owner}/*` };
+  const repoSource = { section: 'repositories', entry: repoPath };
+  const orgEntry = scopeEntry(config.repositories?.[`${owner}/*`], claims, trace, orgSource);
+  const repoEntry = scopeEntry(config.repositories?.[repoPath], claims, trace, repoSource);
+
+  // In deny mode, repositories must be enrolled through an org wildcard or their own entry,
+  // for the audience of the token
+  const defaultDeny = config.default === 'deny';
+  if (defaultDeny && !orgEntry && !repoEntry) {
+    throw new RepoNotEnrolledError(`Repository ${repoPath} is not enrolled: no matching entry in permissions config`);
+  }
 
-  // Start with default permissions
-  let effectivePerms = { ...defaultPerms };
+  // Start with default permissions, from least to most specific entry.
+  // Within each entry, the first rule matching the OIDC claims applies.
+  const defaultSource = { section: 'default', entry: null };
+  const defaultEntry = defaultDeny ? undefined : scopeEntry(config.default, claims, trace, defaultSource);
+  let resolved = defaultEntry ? applyEntry(EMPTY_GRANT, defaultEntry, claims, trace, defaultSource) : EMPTY_GRANT;
 
   // Apply org-wide overrides if they exist
-  if (config.repositories?.[orgWildcard]) {
-    effectivePerms = {
-      ...effectivePerms,
-      ...config.repositories[orgWildcard].permissions
-    };
+  if (orgEntry) {
+    resolved = applyEntry(resolved, orgEntry, claims, trace, orgSource);
   }
 
   // Apply repository-specific overrides if they exist
-  if (config.repositories?.[repoPath]) {
-    effectivePerms = {
-      ...effectivePerms,
-      ...config.repositories[repoPath].permissions
-    };
+  if (repoEntry) {
+    resolved = applyEntry(resolved, repoEntry, claims, trace, repoSource);
+  }
+
+  // Entries made only of rules allow nothing to workflows that match none of them
+  if (!hasPermissions(resolved.permissions)) {
+    throw new PermissionDeniedError(`No permission is allowed for ${repoPath} with these claims`);
   }
 
+  return resolved;
+}
+
+// Resolve the permissions a source repository may get on another repository.
+// Grants are only taken from the cross_repository section, never from defaults.
+function resolveCrossRepositoryPermissions(config, owner, sourceRepo, targetRepo, claims, trace = null) {
+  const targetPath = `${owner}/${targetRepo}`;
+  const repoSource = { section: 'cross_repository', entry: `${owner}/${sourceRepo}`, target: targetPath };
+  const orgSource = { section: 'cross_repository', entry: `${owner}/*`, target: targetPath };
+  const repoGrant = scopeEntry(config.cross_repository?.[`${owner}/${sourceRepo}`]?.[targetPath], claims, trace, repoSource);
+  const grant = repoGrant ?? scopeEntry(config.cross_repository?.[`${owner}/*`]?.[targetPath], claims, trace, orgSource);
+
+  if (!grant) {
+    throw new PermissionDeniedError(
+      `Repository ${targetPath} is not allowed for cross-repository requests from ${owner}/${sourceRepo}`
+    );
+  }
+
+  return applyEntry(EMPTY_GRANT, grant, claims, trace, repoGrant ? repoSource : orgSource);
+}
+
+// Resolve the permissions allowed on every one of several repositories of the same
+// owner, each from the source repository's own entries or its cross-repository grants
+function resolveRepositoriesPermissions(config, owner, sourceRepo, targetRepos, claims, trace = null) {
+  let resolved = null;
+
+  for (const targetRepo of targetRepos) {
+    const allowed = targetRepo === sourceRepo
+      ? resolvePermissions(config, owner, sourceRepo, claims, trace)
+      : resolveCrossRepositoryPermissions(config, owner, sourceRepo, targetRepo, claims, trace);
+    resolved = resolved
+      ? {
+        permissions: intersectPermissions(resolved.permissions, allowed.permissions),
+        apps: intersectApps(resolved.apps, allowed.apps),
+        cacheToken: resolved.cacheToken && allowed.cacheToken,
+        maxLifetime: minLifetime(resolved.maxLifetime, allowed.maxLifetime),
+        requiresApproval: mergeApprovals(resolved.requiresApproval, allowed.requiresApproval)
+      }
+      : allowed;
+  }
+
+  // Grants made only of rules, or without a permission in common, allow nothing
+  if (!hasPermissions(resolved.permissions)) {
+    throw new PermissionDeniedError(`No permission is allowed on all requested repositories of ${owner}`);
+  }
+
+  return resolved;
+}
+
+// Resolve the permissions allowed for a token that is not bound to any repository.
+// Only granted through the organization_tokens section, never from defaults.
+function resolveOrganizationPermissions(config, owner, repo, claims, trace = null) {
+  const repoPath = `${owner}/${repo}`;
+  const repoSource = { section: 'organization_tokens', entry: repoPath };
+  const orgSource = { section: 'organization_tokens', entry: `${owner}/*` };
+  const repoGrant = scopeEntry(config.organization_tokens?.[repoPath], claims, trace, repoSource);
+  const grant = repoGrant ?? scopeEntry(config.organization_tokens?.[`${owner}/*`], claims, trace, orgSource);
+
+  const allowed = grant
+    ? applyEntry(EMPTY_GRANT, grant, claims, trace, repoGrant ? repoSource : orgSource)
+    : EMPTY_GRANT;
+
+  // A grant made only of rules allows nothing to workflows that match none of them
+  if (!hasPermissions(allowed.permissions)) {
+    throw new PermissionDeniedError(`Organization tokens are not allowed for ${repoPath}`);
+  }
+
+  return allowed;
+}
+
+// Whether a permission set allows anything, 'none' disabling a permission
+function hasPermissions(permissions) {
+  return Object.values(permissions).some(level => level !== 'none');
+}
+
+// Keep only the permissions allowed on both sides, at the lowest of both levels
+function intersectPermissions(left, right) {
+  const result = {};
+  for (const [perm, level] of Object.entries(left)) {
+    if (!(perm in right)) {
+      continue;
+    }
+    const otherLevel = right[perm];
+    result[perm] = ACCESS_LEVEL_RANK[otherLevel] < ACCESS_LEVEL_RANK[level] ? otherLevel : level;
+  }
+  return result;
+}
+
+// Keep the shortest of two lifetime caps, where null stands for no cap
+function minLifetime(left, right) {
+  if (left === null || right === null) {
+    return left ?? right;
+  }
+  return Math.min(left, right);
+}
+
+// Require an approval whenever either side does
+function mergeApprovals(left, right) {
+  if (left === true || right === true) {
+    return true;
+  }
+  const permissions = [...new Set([...(left || []), ...(right || [])])];
+  return permissions.length > 0 ? permissions : false;
+}
+
+// Keep only the apps allowed on both sides, where null stands for the default app
+function intersectApps(left, right) {
+  const apps = (left ?? [null]).filter(app => (right ?? [null]).includes(app));
+  if (apps.length === 0) {
+    throw new PermissionDeniedError('No GitHub App is allowed for all requested repositories');
+  }
+  return apps[0] === null ? null : apps;
+}
+
+// Check a requested permission against the level the config allows for it
+function checkRequestedPermission(perm, level, allowedLevel) {
+  // Check if permission and access level exist
+  checkPermissionLevel(perm, level);
+
+  // Check if requested level is within allowed scope
+  if (!allowedLevel || allowedLevel === 'none') {
+    throw new PermissionDeniedError(`Permission ${perm} is not allowed for this repository`);
+  }
+
+  if (ACCESS_LEVEL_RANK[level] > ACCESS_LEVEL_RANK[allowedLevel]) {
+    const label = level.charAt(0).toUpperCase() + level.slice(1);
+    throw new PermissionDeniedError(`${label} access to ${perm} is not allowed for this repository`);
+  }
+}
+
+function finalizePermissions(effectivePerms, requestedPermissions) {
   // If specific permissions are requested, validate them against effective permissions
   if (requestedPermissions) {
     const validatedPerms = {};
     
     for (const [perm, level] of Object.entries(requestedPermissions)) {
-      // Check if permission is allowed
-      if (!VALID_PERMISSIONS.includes(perm)) {
-        throw new Error(`Invalid permission requested: ${perm}`);
-      }
-      
-      // Check if access level is valid
-      if (!VALID_ACCESS_LEVELS.includes(level)) {
-        throw new Error(`Invalid access level requested: ${level} for ${perm}`);
-      }
-      
-      // Check if requested level is within allowed scope
-      const allowedLevel = effectivePerms[perm];
-      if (!allowedLevel || allowedLevel === 'none') {
-        throw new Error(`Permission ${perm} is not allowed for this repository`);
-      }
-      
-      if (level === 'write' && allowedLevel === 'read') {
-        throw new Error(`Write access to ${perm} is not allowed for this repository`);
-      }
-      
+      checkRequestedPermission(perm, level, effectivePerms[perm]);
       validatedPerms[perm] = level;
     }
     
@@ -134,4 +794,199 @@ async function getEffectivePermissions(owner, repo, requestedPermissions = null)
   );
 }
 
-export { getEffectivePermissions, loadPermissionsConfig };
+// Finalize a resolved grant for the requested permissions. Its approval lists the
+// token's permissions that need an approval before it is issued, or is null when the
+// token can be issued right away.
+function finalizeGrant(config, { permissions, requiresApproval, ...settings }, requestedPermissions) {
+  const finalPermissions = finalizePermissions(permissions, requestedPermissions);
+
+  // GitHub reads an empty permission set as every permission of the installation
+  if (Object.keys(finalPermissions).length === 0) {
+    throw new PermissionDeniedError('At least one permission must be requested and allowed for a token');
+  }
+
+  // Permissions listed at the top level of the config always need an approval
+  const approvalPermissions = requiresApproval === true
+    ? Object.keys(finalPermissions)
+    : Object.keys(finalPermissions).filter(perm =>
+      (config.requires_approval ?? []).includes(perm) || (requiresApproval || []).includes(perm)
+    );
+
+  return {
+    permissions: finalPermissions,
+    ...settings,
+    approval: requiresApproval === true || approvalPermissions.length > 0
+      ? { permissions: approvalPermissions }
+      : null
+  };
+}
+
+// Get the rate limits of token requests from a repository, most specific first:
+// the repository's override, its owner's override (owner/*), then the defaults.
+// Without a repository, only the defaults apply, as for limits by client IP.
+async function getRateLimits(owner = null, repo = null) {
+  const config = await loadPermissionsConfig();
+  const { repositories: overrides = {}, ...limits } = config.rate_limits ?? {};
+
+  return {
+    ...DEFAULT_RATE_LIMITS,
+    ...limits,
+    ...(owner ? overrides[`${owner}/*`] : {}),
+    ...(owner && repo ? overrides[`${owner}/${repo}`] : {})
+  };
+}
+
+// Get the permissions for a token of the requesting repository, with the other
+// settings of the grant: the apps it may be issued with (null for the default app),
+// whether it may be cached, its lifetime cap and the approval it needs
+async function getEffectivePermissions(owner, repo, requestedPermissions = null, claims = {}) {
+  const config = await loadPermissionsConfig();
+  return finalizeGrant(config, resolvePermissions(config, owner, repo, claims), requestedPermissions);
+}
+
+// Get the permissions for a single token covering several repositories of the same owner.
+// The token can only carry permissions allowed on every one of them.
+async function getCrossRepositoryPermissions(
+  owner,
+  sourceRepo,
+  targetRepos,
+  requestedPermissions = null,
+  claims = {}
+) {
+  const config = await loadPermissionsConfig();
+  const resolved = resolveRepositoriesPermissions(config, owner, sourceRepo, targetRepos, claims);
+  return finalizeGrant(config, resolved, requestedPermissions);
+}
+
+// Get the permissions for a token that is not bound to any repository
+async function getOrganizationPermissions(owner, repo, requestedPermissions = null, claims = {}) {
+  const config = await loadPermissionsConfig();
+  return finalizeGrant(config, resolveOrganizationPermissions(config, owner, repo, claims), requestedPermissions);
+}
+
+// Normalize requested target repositories to names within the caller's owner.
+// Installation tokens are bound to a single installation, so other owners are rejected.
+function parseTargetRepositories(repositories, owner) {
+  const names = repositories.map(repository => {
+    const [repoOwner, name] = repository.includes('/') ? repository.split('/') : [owner, repository];
+    if (repoOwner.toLowerCase() !== owner.toLowerCase()) {
+      throw new InvalidRequestError(`Repository ${repository} does not belong to owner: ${owner}`);
+    }
+    return name;
+  });
+
+  return [...new Set(names)];
+}
+
+// Pick the app to issue a token with among the apps of its grant, or the default app
+// when the grant does not name any: the requested app, or the first available one.
+// Returns null when none of them is available.
+function selectAllowedApp(allowedApps, requestedApp, defaultApp, isAvailable = () => true) {
+  const apps = allowedApps ?? [defaultApp];
+  const name = requestedApp ?? apps.find(isAvailable);
+
+  if (name && !apps.includes(name)) {
+    throw new PermissionDeniedError(`GitHub App ${name} is not allowed for this repository`);
+  }
+  return name ?? null;
+}
+
+const DECISIONS = ['granted', 'denied', 'requires_approval'];
+
+// Decision on an explained token request
+function getDecision({ grant, error }) {
+  if (error) {
+    return 'denied';
+  }
+  return grant.approval ? 'requires_approval' : 'granted';
+}
+
+// Explain the decision on a token request without issuing anything: the config entries
+// and rules considered, in the order they apply, the permissions they add up to, and
+// whether each permission would be granted. Requests are resolved as for tokens, so
+// the explanation holds as long as the config does not change. Denials are returned
+// in error, with the grant left null unless only the app was ruled out. The app is
+// picked by selectApp from the apps of the grant, when given.
+async function explainPermissions(owner, repo, {
+  requestedPermissions = null,
+  targetRepositories = null,
+  scope = 'repository',
+  claims = {},
+  selectApp = null
+} = {}) {
+  const config = await loadPermissionsConfig();
+  const steps = [];
+  let resolved = null;
+  let grant = null;
+  let error = null;
+
+  try {
+    if (scope === 'organization') {
+      resolved = resolveOrganizationPermissions(config, owner, repo, claims, steps);
+    } else if (targetRepositories?.length) {
+      resolved = resolveRepositoriesPermissions(config, owner, repo, targetRepositories, claims, steps);
+    } else {
+      resolved = resolvePermissions(config, owner, repo, claims, steps);
+    }
+    grant = finalizeGrant(config, resolved, requestedPermissions);
+  } catch (resolveError) {
+    if (!(resolveError instanceof TokenBureauError)) {
+      throw resolveError;
+    }
+    error = resolveError;
+  }
+
+  // The app the token would be issued with, which the request or policy may rule out
+  let app = null;
+  if (grant && selectApp) {
+    try {
+      app = selectApp(grant.apps);
+    } catch (appError) {
+      if (!(appError instanceof PermissionDeniedError)) {
+        throw appError;
+      }
+      error = appError;
+    }
+  }
+
+  const effectivePermissions = resolved?.permissions ?? {};
+
+  // Without requested permissions, the token carries every permission allowed
+  const requested = requestedPermissions ?? Object.fromEntries(
+    Object.entries(effectivePermissions).filter(([_, level]) => level !== 'none')
+  );
+  const permissions = Object.entries(requested).map(([perm, level]) => {
+    const allowed = effectivePermissions[perm] ?? null;
+    if (!resolved) {
+      return { permission: perm, requested: level, allowed, granted: false, reason: error.message };
+    }
+    try {
+      checkRequestedPermission(perm, level, allowed);
+      return { permission: perm, requested: level, allowed, granted: true, reason: null };
+    } catch (permissionError) {
+      return { permission: perm, requested: level, allowed, granted: false, reason: permissionError.message };
+    }
+  });
+
+  return { steps, effectivePermissions, permissions, grant, app, error };
+}
+
+export {
+  MIN_TOKEN_LIFETIME,
+  MAX_TOKEN_LIFETIME,
+  DECISIONS,
+  getEffectivePermissions,
+  getCrossRepositoryPermissions,
+  getOrganizationPermissions,
+  explainPermissions,
+  parseTargetRepositories,
+  selectAllowedApp,
+  getDecision,
+  getRateLimits,
+  loadPermissionsConfig,
+  reloadPermissionsConfig,
+  setPermissionsConfigPath,
+  setDefaultIssuer,
+  getPermissionsConfigVersion,
+  watchPermissionsConfig
+};
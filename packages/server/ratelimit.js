@@ -0,0 +1,118 @@
+import Redis from 'ioredis';
+import { RateLimitedError } from './errors.js';
+import { rateLimitedRequests } from './metrics.js';
+
+// Fixed-window counters of token requests, kept in memory by default, or in a
+// Redis-compatible server shared by all replicas. A store failure never blocks
+// token requests: the request is let through and the error logged.
+
+// Counters of this replica, swept once their window is over
+function createMemoryStore() {
+  const counters = new Map();
+
+  const sweeper = setInterval(() => {
+    const now = Date.now();
+    for (const [key, counter] of counters) {
+      if (counter.resetAt <= now) {
+        counters.delete(key);
+      }
+    }
+  }, 60 * 1000);
+  sweeper.unref();
+
+  return {
+    name: 'memory',
+    async increment(key, windowMs) {
+      const now = Date.now();
+      let counter = counters.get(key);
+      if (!counter || counter.resetAt <= now) {
+        counter = { count: 0, resetAt: now + windowMs };
+        counters.set(key, counter);
+      }
+      counter.count += 1;
+      return { count: counter.count, resetAt: counter.resetAt };
+    }
+  };
+}
+
+// Increment a counter and start its window on the first request, atomically
+const INCREMENT_SCRIPT = `
+local count = redis.call('INCR', KEYS[1])
+if count == 1 then
+  redis.call('PEXPIRE', KEYS[1], ARGV[1])
+end
+return {count, redis.call('PTTL', KEYS[1])}
+`;
+
+// How long a command may take before the request is let through
+const COMMAND_TIMEOUT = 2000;
+
+// Counters shared by every replica. Commands fail fast while the server cannot be
+// reached, instead of being queued, and the client keeps reconnecting in the background.
+function createRedisStore(url, logger, prefix = 'token-bureau:ratelimit:') {
+  const client = new Redis(url, {
+    commandTimeout: COMMAND_TIMEOUT,
+    maxRetriesPerRequest: 0,
+    enableOfflineQueue: false
+  });
+  client.defineCommand('incrementWindow', { numberOfKeys: 1, lua: INCREMENT_SCRIPT });
+
+  // Connection errors are logged once per outage, failed requests are logged on their own
+  let connected = true;
+  client.on('ready', () => {
+    connected = true;
+  });
+  client.on('error', error => {
+    if (connected) {
+      connected = false;
+      logger.error({ error: error.message }, 'Rate limit store connection failed');
+    }
+  });
+
+  return {
+    name: 'redis',
+    async increment(key, windowMs) {
+      const [count, ttl] = await client.incrementWindow(`${prefix}${key}`, windowMs);
+      return { count, resetAt: Date.now() + Math.max(ttl, 0) };
+    }
+  };
+}
+
+function createRateLimitStore({ redisUrl }, logger) {
+  return redisUrl ? createRedisStore(redisUrl, logger) : createMemoryStore();
+}
+
+function createRateLimiter(store, logger) {
+  // Count a request against a limit, throwing RateLimitedError once it is exceeded.
+  // A limit of 0 disables it.
+  async function consume(scope, value, limit, window) {
+    if (!limit || !value) {
+      return;
+    }
+
+    let counter;
+    try {
+      counter = await store.increment(`${scope}:${value}:${window}`, window * 1000);
+    } catch (error) {
+      logger.error({ error: error.message, store: store.name }, 'Rate limit store failed, allowing request');
+      return;
+    }
+
+    if (counter.count > limit) {
+      rateLimitedRequests.inc({ scope });
+      throw new RateLimitedError(
+        `Rate limit of ${limit} token requests per ${window}s exceeded for ${scope} ${value}`,
+        { retryAfter: Math.max(1, Math.ceil((counter.resetAt - Date.now()) / 1000)) }
+      );
+    }
+  }
+
+  return { consume };
+}
+
+export {
+  createMemoryStore,
+  createRedisStore,
+  createRateLimitStore,
+  createRateLimiter
+};
@@ -0,0 +1,118 @@
+// How long a successful GitHub /app call is trusted before calling it again,
+// so frequent readiness probes do not eat into the app rate limit
+const GITHUB_APP_CHECK_INTERVAL = 60 * 1000;
+
+// GitHub answers /app with these when it rejects the app credentials: a wrong key or
+// app ID. Other failures, such as an unreachable API or a rate limit, are reported
+// without failing readiness, as they hit every replica alike and would take revocation
+// and the other apps down with them.
+const CREDENTIAL_ERROR_STATUSES = [401, 404];
+
+// Checks of the credentials and GitHub access of one GitHub App
+function createAppCheck(app) {
+  const { appAuth, appRequest } = app;
+  const githubApp = { lastSuccess: null, lastCheck: 0, slug: null };
+
+  async function checkPrivateKey() {
+    try {
+      // The active key may change on rotation, so it is read on every check
+      const { keyProvider } = app;
+      return { ok: true, key: app.getKeyStatus().active_key, provider: keyProvider.type, ...await keyProvider.check() };
+    } catch (error) {
+      return { ok: false, error: error.message };
+    }
+  }
+
+  async function checkAppJwt() {
+    try {
+      await appAuth({ type: 'app' });
+      return { ok: true };
+    } catch (error) {
+      return { ok: false, error: error.message };
+    }
+  }
+
+  async function checkGitHubApp() {
+    if (Date.now() - githubApp.lastCheck < GITHUB_APP_CHECK_INTERVAL && githubApp.lastSuccess) {
+      return { ok: true, slug: githubApp.slug, last_success: githubApp.lastSuccess };
+    }
+
+    try {
+      const { data } = await appRequest('GET /app');
+      githubApp.lastCheck = Date.now();
+      githubApp.lastSuccess = new Date().toISOString();
+      githubApp.slug = data.slug;
+      return { ok: true, slug: data.slug, last_success: githubApp.lastSuccess };
+    } catch (error) {
+      return {
+        ok: !CREDENTIAL_ERROR_STATUSES.includes(error.status),
+        error: error.message,
+        ...(error.status ? { status: error.status } : {}),
+        last_success: githubApp.lastSuccess
+      };
+    }
+  }
+
+  return async function checkApp() {
+    const [privateKeyCheck, appJwtCheck] = await Promise.all([checkPrivateKey(), checkAppJwt()]);
+
+    // Only call GitHub once the app JWT can be signed
+    const githubAppCheck = appJwtCheck.ok
+      ? await checkGitHubApp()
+      : { ok: false, error: 'App JWT cannot be signed', last_success: githubApp.lastSuccess };
+
+    return {
+      ok: privateKeyCheck.ok && appJwtCheck.ok && githubAppCheck.ok,
+      private_key: privateKeyCheck,
+      app_jwt: appJwtCheck,
+      github_app: githubAppCheck
+    };
+  };
+}
+
+// Build the readiness check run by GET /ready. Each check reports ok and details;
+// the server is ready only if all of them pass.
+function createReadinessCheck({ apps, loadPermissionsConfig, getPermissionsConfigVersion, jwksStatus }) {
+  const appChecks = apps.map(app => [app.name, createAppCheck(app)]);
+
+  async function checkPermissionsConfig() {
+    try {
+      await loadPermissionsConfig();
+      return { ok: true, ...getPermissionsConfigVersion() };
+    } catch (error) {
+      return { ok: false, error: error.message };
+    }
+  }
+
+  async function checkApps() {
+    const results = await Promise.all(appChecks.map(async ([name, checkApp]) => [name, await checkApp()]));
+    return {
+      ok: results.every(([, result]) => result.ok),
+      apps: Object.fromEntries(results)
+    };
+  }
+
+  return async function checkReadiness() {
+    const [appsCheck, permissionsCheck] = await Promise.all([checkApps(), checkPermissionsConfig()]);
+
+    const checks = {
+      github_apps: appsCheck,
+      permissions_config: permissionsCheck,
+      // Keys are fetched lazily on the first OIDC verification, so this is informational
+      jwks: {
+        ok: true,
+        issuers: Object.fromEntries(Object.entries(jwksStatus).map(([name, status]) => [name, {
+          last_success: status.lastSuccess,
+          last_error: status.lastError
+        }]))
+      }
+    };
+
+    return {
+      ready: Object.values(checks).every(check => check.ok),
+      checks
+    };
+  };
+}
+
+export { createReadinessCheck };
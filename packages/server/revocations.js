@@ -0,0 +1,67 @@
+import { hashToken } from './audit.js';
+import { pendingRevocations, scheduledRevocations } from './metrics.js';
+
+// Tokens issued with a lifetime shorter than GitHub's one hour are revoked by the
+// server once it ends. Pending revocations are kept in memory, as persisting them
+// would mean writing tokens to disk: the tokens of a replica that stops before
+// revoking them stay valid until GitHub expires them, and are logged on shutdown.
+
+function createRevocationScheduler(revoke, logger) {
+  // Revocations by token hash, so a token revoked early is not revoked again
+  const pending = new Map();
+
+  function schedule(token, app, expiresAt) {
+    const tokenHash = hashToken(token);
+
+    const timer = setTimeout(async () => {
+      pending.delete(tokenHash);
+      pendingRevocations.set(pending.size);
+      try {
+        await revoke(token, app);
+        scheduledRevocations.inc({ result: 'revoked' });
+        logger.info({ app, token_hash: tokenHash }, 'Token revoked at the end of its lifetime');
+      } catch (error) {
+        // Tokens revoked by their workflow in the meantime are already gone
+        const result = error.code === 'TOKEN_INVALID' ? 'already_revoked' : 'failed';
+        scheduledRevocations.inc({ result });
+        logger[result === 'failed' ? 'error' : 'debug']({
+          app,
+          token_hash: tokenHash,
+          error: error.message
+        }, 'Token could not be revoked at the end of its lifetime');
+      }
+    }, Math.max(0, Date.parse(expiresAt) - Date.now()));
+    timer.unref();
+
+    pending.set(tokenHash, { timer, app, expiresAt });
+    pendingRevocations.set(pending.size);
+  }
+
+  // Cancel the revocation of a token revoked before the end of its lifetime
+  function cancel(token) {
+    const tokenHash = hashToken(token);
+    clearTimeout(pending.get(tokenHash)?.timer);
+    pending.delete(tokenHash);
+    pendingRevocations.set(pending.size);
+  }
+
+  // Give up the pending revocations when the server stops, logging the tokens that
+  // stay valid until GitHub expires them
+  function abandon() {
+    for (const [tokenHash, { timer, app, expiresAt }] of pending) {
+      clearTimeout(timer);
+      scheduledRevocations.inc({ result: 'abandoned' });
+      logger.warn({
+        app,
+        token_hash: tokenHash,
+        expires_at: expiresAt
+      }, 'Token not revoked at the end of its lifetime, as the server is stopping');
+    }
+    pending.clear();
+    pendingRevocations.set(0);
+  }
+
+  return { schedule, cancel, abandon };
+}
+
+export { createRevocationScheduler };
@@ -0,0 +1,89 @@
+// GitHub App auth for keys that never leave their key provider, such as keys kept in
+// Vault or a cloud KMS. App JWTs are built here and signed by the provider; the rest
+// mirrors the parts of @octokit/auth-app the bureau uses.
+
+// GitHub accepts app JWTs valid for up to 10 minutes. Issue them 60 seconds in the
+// past to allow for clock drift, and reuse them until a minute before they expire.
+const APP_JWT_LIFETIME = 9 * 60;
+const APP_JWT_REFRESH_MARGIN = 60;
+
+function base64url(value) {
+  return Buffer.from(value).toString('base64url');
+}
+
+function createSignerAppAuth({ appId, keyProvider, installationId = null, request }) {
+  let appJwt = null;
+  let installationToken = null;
+
+  async function getAppJwt() {
+    const now = Math.floor(Date.now() / 1000);
+    if (appJwt && appJwt.expiresAt - APP_JWT_REFRESH_MARGIN > now) {
+      return appJwt;
+    }
+
+    const header = base64url(JSON.stringify({ alg: 'RS256', typ: 'JWT' }));
+    const payload = base64url(JSON.stringify({ iat: now - 60, exp: now + APP_JWT_LIFETIME, iss: appId }));
+    const signature = await keyProvider.sign(Buffer.from(`${header}.${payload}`));
+
+    appJwt = { token: `${header}.${payload}.${base64url(signature)}`, expiresAt: now + APP_JWT_LIFETIME };
+    return appJwt;
+  }
+
+  async function createInstallationToken(id, { repositoryIds, permissions } = {}) {
+    const { token } = await getAppJwt();
+    const { data } = await request('POST /app/installations/{installation_id}/access_tokens', {
+      installation_id: id,
+      headers: { authorization: `bearer ${token}` },
+      ...(repositoryIds ? { repository_ids: repositoryIds } : {}),
+      ...(permissions ? { permissions } : {})
+    });
+
+    return {
+      type: 'token',
+      tokenType: 'installation',
+      token: data.token,
+      installationId: id,
+      expiresAt: data.expires_at,
+      permissions: data.permissions,
+      repositorySelection: data.repository_selection
+    };
+  }
+
+  async function auth({ type, ...options }) {
+    if (type === 'app') {
+      const { token, expiresAt } = await getAppJwt();
+      return { type: 'app', token, appId, expiresAt: new Date(expiresAt * 1000).toISOString() };
+    }
+    if (type === 'installation') {
+      return createInstallationToken(options.installationId ?? installationId, options);
+    }
+    throw new Error(`Unsupported auth type: ${type}`);
+  }
+
+  // App endpoints are called with the app JWT, anything else with a token covering
+  // the whole installation, reused until 5 minutes before it expires
+  async function hook(request, route, parameters) {
+    const endpoint = request.endpoint.merge(route, parameters);
+
+    // Full URLs, such as pagination links, include the base URL (/api/v3 on GHES)
+    const path = endpoint.url.startsWith(endpoint.baseUrl)
+      ? endpoint.url.slice(endpoint.baseUrl.length)
+      : endpoint.url.replace(/^https?:\/\/[^/]+/, '');
+
+    if (!installationId || /^\/app(\/|$)/.test(path)) {
+      const { token } = await getAppJwt();
+      endpoint.headers.authorization = `bearer ${token}`;
+      return request(endpoint);
+    }
+
+    if (!installationToken || Date.parse(installationToken.expiresAt) - 5 * 60 * 1000 < Date.now()) {
+      installationToken = await createInstallationToken(installationId);
+    }
+    endpoint.headers.authorization = `token ${installationToken.token}`;
+    return request(endpoint);
+  }
+
+  return Object.assign(auth, { hook });
+}
+
+export { createSignerAppAuth };
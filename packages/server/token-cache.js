@@ -0,0 +1,90 @@
+import crypto from 'crypto';
+import { hashToken } from './audit.js';
+
+// Installation tokens reused for identical requests of a workflow run, such as the
+// jobs of a matrix build. Tokens are kept encrypted with a key generated at startup,
+// so they do not sit in memory in clear text while cached.
+
+function createTokenCache({ minLifetime }) {
+  const encryptionKey = crypto.randomBytes(32);
+  const entries = new Map();
+
+  // Entries are keyed by a hash of everything that makes two tokens interchangeable.
+  // Repositories are lowercased full names, known before any call to GitHub. They and
+  // permissions are sorted so their order does not matter.
+  function getKey({ app, installationId, repositories, permissions, issuer, runId }) {
+    const canonical = JSON.stringify([
+      app,
+      installationId,
+      repositories ? [...repositories].sort() : null,
+      Object.entries(permissions).sort(([a], [b]) => a.localeCompare(b)),
+      issuer,
+      runId
+    ]);
+    return crypto.createHash('sha256').update(canonical).digest('hex');
+  }
+
+  function encrypt(value) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey, iv);
+    const data = Buffer.concat([cipher.update(JSON.stringify(value), 'utf8'), cipher.final()]);
+    return { iv, data, tag: cipher.getAuthTag() };
+  }
+
+  function decrypt({ iv, data, tag }) {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey, iv);
+    decipher.setAuthTag(tag);
+    return JSON.parse(Buffer.concat([decipher.update(data), decipher.final()]).toString('utf8'));
+  }
+
+  // A token is only reused while it has at least minLifetime seconds left
+  function isUsable(entry, now = Date.now()) {
+    return entry.expiresAt - minLifetime * 1000 > now;
+  }
+
+  const sweeper = setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of entries) {
+      if (!isUsable(entry, now)) {
+        entries.delete(key);
+      }
+    }
+  }, 60 * 1000);
+  sweeper.unref();
+
+  function get(request) {
+    const key = getKey(request);
+    const entry = entries.get(key);
+    if (!entry) {
+      return undefined;
+    }
+    if (!isUsable(entry)) {
+      entries.delete(key);
+      return undefined;
+    }
+    return decrypt(entry.value);
+  }
+
+  // Cache a token response, as returned by /generate-token
+  function set(request, result) {
+    entries.set(getKey(request), {
+      value: encrypt(result),
+      expiresAt: Date.parse(result.expires_at),
+      tokenHash: hashToken(result.token)
+    });
+  }
+
+  // Drop a token from the cache, once revoked
+  function forget(token) {
+    const tokenHash = hashToken(token);
+    for (const [key, entry] of entries) {
+      if (entry.tokenHash === tokenHash) {
+        entries.delete(key);
+      }
+    }
+  }
+
+  return { get, set, forget };
+}
+
+export { createTokenCache };
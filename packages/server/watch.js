@@ -0,0 +1,23 @@
+import fs from 'fs';
+
+// Watch a directory for changes, such as the files of a mounted volume, calling
+// onChange once a change is over. Directories are watched rather than files, as
+// Kubernetes updates ConfigMap and Secret volumes by swapping a symlink, which a
+// file watch would miss.
+
+// A single update produces a burst of events, handled once it settles
+const DEBOUNCE_DELAY = 200;
+
+function watchDirectory(dir, onChange, onError) {
+  let timer = null;
+
+  const watcher = fs.watch(dir, { persistent: false }, () => {
+    clearTimeout(timer);
+    timer = setTimeout(onChange, DEBOUNCE_DELAY);
+  });
+  watcher.on('error', onError);
+
+  return watcher;
+}
+
+export { watchDirectory };